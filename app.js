@@ -2,11 +2,28 @@
 
 /* ========= config ========= */
 const DATA_URL = "data/products.json";
+const DICTIONARY_URL = "data/ingredients.json";
+const MAX_PINNED = 4;
+const MIN_PINNED = 2;
+const PAGE_SIZES = [6, 12, 24, 48];
+const DEFAULT_PAGE_SIZE = PAGE_SIZES[0];
+const ALLERGEN_STORAGE_KEY = "compare:allergen-profiles";
+const FAVORITES_STORAGE_KEY = "compare:favorites";
+const RECENT_SEARCHES_STORAGE_KEY = "compare:recent-searches";
+const HIDDEN_STORAGE_KEY = "compare:hidden-products";
+const MAX_RECENT_SEARCHES = 8;
+const UNDO_TOAST_DURATION = 6000;
+/* typing bursts closer together than this share one history entry */
+const HISTORY_PUSH_INTERVAL = 1000;
 
 /* ========= tiny DOM helpers ========= */
 const create = (tag, options = {}) =>
   Object.assign(document.createElement(tag), options);
 
+/* for text written into innerHTML templates: query labels and catalog fields come from links and data files */
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
 /* ========= normalization ========= */
 const normalizeToken = (raw) =>
   String(raw)
@@ -15,6 +32,48 @@ const normalizeToken = (raw) =>
     .replace(/[^a-z0-9]+/g, "_")
     .replace(/^_+|_+$/g, "");
 
+/* ========= ingredient dictionary ========= */
+/* slug -> { canonical, name, category, aliases, tags }, loaded from DICTIONARY_URL */
+const ingredientDictionary = new Map();
+
+const setIngredientDictionary = (entries = {}) => {
+  ingredientDictionary.clear();
+  Object.entries(entries).forEach(([rawSlug, entry]) => {
+    const slug = normalizeToken(rawSlug);
+    if (!slug || !entry) return;
+    const canonical = normalizeToken(entry.canonical || slug);
+    const aliases = (entry.aliases || []).map(normalizeToken).filter(Boolean);
+    ingredientDictionary.set(slug, {
+      canonical,
+      name: entry.name || slug.replace(/_/g, " "),
+      category: normalizeToken(entry.category || ""),
+      aliases,
+      tags: (entry.tags || []).map(normalizeToken).filter(Boolean),
+    });
+  });
+};
+
+const lookupIngredient = (slug) => ingredientDictionary.get(normalizeToken(slug)) || null;
+
+/* the slugs filed under the same canonical ingredient ("whole_oats" -> oat_groats, whole_oats);
+   aliases are left out since they are broader ("chicken" is an alias of chicken_meal) */
+const canonicalSlugs = (slug) => {
+  const entry = lookupIngredient(slug);
+  if (!entry) return [];
+  return [...ingredientDictionary.entries()]
+    .filter(([, other]) => other.canonical === entry.canonical)
+    .map(([other]) => other);
+};
+
+/* every term an ingredient answers to; unknown slugs fall back to their underscore parts */
+const ingredientTerms = (slug) => {
+  const normalized = normalizeToken(slug);
+  if (!normalized) return [];
+  const entry = ingredientDictionary.get(normalized);
+  if (!entry) return [...new Set([normalized, ...normalized.split("_")])];
+  return [...new Set([normalized, entry.canonical, ...entry.aliases])];
+};
+
 /* ========= query parsing ========= */
 const simplePluralVariants = (tok) => {
   const t = normalizeToken(tok);
@@ -29,25 +88,6 @@ const simplePluralVariants = (tok) => {
   return [...variants];
 };
 
-const SYNONYMS = {
-  grainfree: ["grain_free", "no_grain", "no_grains"],
-  "grain-free": ["grain_free", "no_grain", "no_grains"],
-  grain_free: ["grain_free", "no_grain", "no_grains", "grainfree"],
-  no_grain: ["grain_free", "no_grains", "grainfree"],
-  no_grains: ["grain_free", "no_grain", "grainfree"],
-  without_grain: ["grain_free", "no_grain", "no_grains", "grainfree"],
-  without_grains: ["grain_free", "no_grain", "no_grains", "grainfree"],
-  with_grain: ["contains_grain", "grain", "grains", "with_grains"],
-  with_grains: ["contains_grain", "grain", "grains", "with_grain"],
-  grains: ["contains_grain", "grain"],
-  grain: ["contains_grain", "grains", "with_grains", "with_grain"],
-  contains_grain: ["contains_grain"],
-  protein: ["has_protein", "protein"],
-  no_protein: ["no_protein"],
-  taste: ["taste", "taste_of_the_wild", "totw"],
-  totw: ["taste_of_the_wild"],
-};
-
 const GRAIN_WITH_TOKENS = new Set([
   "contains_grain",
   "grain",
@@ -65,14 +105,7 @@ const GRAIN_FREE_TOKENS = new Set([
   "without_grains",
 ]);
 
-const expandSynonyms = (tok) => {
-  const base = normalizeToken(tok);
-  const variants = new Set([base]);
-  (SYNONYMS[base] || []).forEach((value) => variants.add(value));
-  simplePluralVariants(base).forEach((value) => variants.add(value));
-  return variants;
-};
-
+/* two-word grain phrases ("no grain", "with grains") the parser reads as one term */
 const PHRASE_SYNONYM_OVERRIDES = new Set([
   "grain_free",
   "no_grain",
@@ -83,95 +116,618 @@ const PHRASE_SYNONYM_OVERRIDES = new Set([
   "without_grains",
 ]);
 
-/* ========= Parse user query ========= */
-const emptyParseResult = () => ({
-  includeGroups: [],
-  excludes: new Set(),
-  labelIncludes: new Set(),
-  labelExcludes: new Set(),
-});
+const normalizeSynonyms = (synonyms = {}) =>
+  Object.fromEntries(
+    Object.entries(synonyms).map(([key, values]) => [
+      normalizeToken(key),
+      [].concat(values).map(normalizeToken).filter(Boolean),
+    ])
+  );
 
-const parseQuery = (q) => {
-  const parts = String(q || "")
-    .trim()
-    .split(/\s+/)
-    .filter(Boolean);
-  if (!parts.length) return emptyParseResult();
+/* `synonyms` are the instance's extras from CompareApp.mount({ synonyms }), already normalized */
+const expandSynonyms = (tok, synonyms = {}) => {
+  const base = normalizeToken(tok);
+  const variants = new Set([base]);
+  [GRAIN_WITH_TOKENS, GRAIN_FREE_TOKENS]
+    .filter((words) => words.has(base))
+    .forEach((words) => words.forEach((value) => variants.add(value)));
+  canonicalSlugs(base).forEach((value) => variants.add(value));
+  (synonyms[base] || []).forEach((value) => variants.add(value));
+  simplePluralVariants(base).forEach((value) => variants.add(value));
+  return variants;
+};
+
+/* ========= protein purity ========= */
+const PURITY_TIERS = {
+  pure: { label: "Single protein", short: "Single" },
+  meal: { label: "Single protein + meal", short: "Single + meal" },
+  fat: { label: "Single protein + fat/organs", short: "Single + fat" },
+  mixed: { label: "Mixed proteins", short: "Mixed" },
+  none: { label: "No protein sources listed", short: "—" },
+};
+
+/* query words that mean "one animal protein only" */
+const PURITY_QUERY_ALIASES = {
+  single: ["pure", "meal"],
+  single_protein: ["pure", "meal"],
+  singleprotein: ["pure", "meal"],
+  single_source: ["pure", "meal"],
+};
+
+const purityTiersForTerm = (value) => {
+  const token = normalizeToken(value);
+  if (PURITY_TIERS[token]) return [token];
+  return PURITY_QUERY_ALIASES[token] || null;
+};
+
+/* ========= numeric range filters ========= */
+const RANGE_FIELDS = {
+  protein: { label: "protein", key: "crude_protein" },
+  crude_protein: { label: "protein", key: "crude_protein" },
+  fat: { label: "fat", key: "crude_fat" },
+  crude_fat: { label: "fat", key: "crude_fat" },
+  fiber: { label: "fiber", key: "crude_fiber" },
+  crude_fiber: { label: "fiber", key: "crude_fiber" },
+  moisture: { label: "moisture", key: "moisture" },
+  kcal: { label: "kcal", key: "kcal_per_cup" },
+  kcal_cup: { label: "kcal", key: "kcal_per_cup" },
+  kcal_kg: { label: "kcal_kg", key: "kcal_per_kg" },
+  dm_protein: { label: "dm_protein", key: "crude_protein", dryMatter: true },
+};
+
+const RANGE_OPERATORS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "=": (a, b) => a === b,
+};
+
+const RANGE_PATTERN = /^([a-z_]+)(>=|<=|>|<|=)(\d+(?:\.\d+)?)%?$/i;
+
+const parseRangeTerm = (raw) => {
+  const match = RANGE_PATTERN.exec(raw);
+  if (!match) return null;
+  const field = RANGE_FIELDS[normalizeToken(match[1])];
+  if (!field) return null;
+  return { ...field, op: match[2], value: Number(match[3]) };
+};
+
+/* ========= field-scoped terms (brand:acana, stage:puppy, ...) ========= */
+const FIELD_SCOPES = {
+  brand: "brand",
+  stage: "stage",
+  life_stage: "stage",
+  ingredient: "ingredient",
+  ingredients: "ingredient",
+  protein: "protein",
+  proteins: "protein",
+};
+
+/* ingredient/protein scopes still rank by label position; brand/stage are plain yes/no */
+const INGREDIENT_SCOPES = new Set(["", "ingredient", "protein"]);
+
+const scopedToken = (field, value) => (field ? `${field}:${value}` : value);
+
+const splitScopedToken = (raw) => {
+  const text = String(raw);
+  const idx = text.indexOf(":");
+  if (idx <= 0) return { field: "", value: normalizeToken(text) };
+  return { field: normalizeToken(text.slice(0, idx)), value: normalizeToken(text.slice(idx + 1)) };
+};
+
+const normalizeScopedToken = (raw) => {
+  const { field, value } = splitScopedToken(raw);
+  return value ? scopedToken(field, value) : "";
+};
+
+const parseScopedTerm = (raw) => {
+  const match = /^([a-z_]+):(.+)$/i.exec(raw);
+  if (!match) return null;
+  const field = FIELD_SCOPES[normalizeToken(match[1])];
+  const value = normalizeToken(match[2]);
+  return field && value ? { field, value } : null;
+};
+
+/* ========= category keywords (legumes, potatoes, by_products, ...) ========= */
+/* each keyword expands to every dictionary slug in a category or carrying a tag */
+const CATEGORY_KEYWORDS = {
+  legumes: { label: "legumes", category: "legume" },
+  potatoes: { label: "potatoes", tag: "potato" },
+  by_products: { label: "by_products", tag: "by_product" },
+  artificial_preservatives: { label: "artificial_preservatives", tag: "artificial_preservative" },
+  artificial_colors: { label: "artificial_colors", tag: "artificial_color" },
+};
+
+const CATEGORY_KEYWORD_ALIASES = {
+  legume: "legumes",
+  pulses: "legumes",
+  potato: "potatoes",
+  by_product: "by_products",
+  byproducts: "by_products",
+  artificial_preservative: "artificial_preservatives",
+  artificial_color: "artificial_colors",
+  artificial_colours: "artificial_colors",
+  artificial_dyes: "artificial_colors",
+};
+
+/* bare keywords only; category:<name> also accepts any dictionary category (grain, vitamin, ...) */
+const categoryKeywordFor = (raw, { scoped = false } = {}) => {
+  const key = normalizeToken(raw);
+  const keyword = CATEGORY_KEYWORDS[key] || CATEGORY_KEYWORDS[CATEGORY_KEYWORD_ALIASES[key]];
+  if (keyword) return keyword;
+  if (!scoped) return null;
+  const category = [...simplePluralVariants(key)].find((value) =>
+    [...ingredientDictionary.values()].some((entry) => entry.category === value)
+  );
+  return category ? { label: key, category } : null;
+};
+
+const categoryKeywordSlugs = ({ category, tag }) =>
+  [...ingredientDictionary.entries()]
+    .filter(([, entry]) => (category && entry.category === category) || (tag && entry.tags.includes(tag)))
+    .map(([slug]) => slug);
+
+/* ========= allergen profiles ========= */
+/* each token excludes itself and anything starting with `${token}_` */
+const ALLERGEN_PROFILES = {
+  poultry: {
+    label: "poultry",
+    tokens: [
+      "chicken",
+      "turkey",
+      "duck",
+      "quail",
+      "fowl",
+      "deboned_chicken",
+      "deboned_turkey",
+      "dehydrated_chicken",
+      "freeze_dried_chicken",
+      "freeze_dried_turkey",
+      "roasted_duck",
+      "roasted_quail",
+      "smoke_flavored_turkey",
+      "natural_chicken_flavor",
+      "natural_turkey_flavor",
+      "natural_poultry_flavor",
+      "egg_and_chicken_flavor",
+      "egg_product",
+    ],
+  },
+  egg: {
+    label: "egg",
+    tokens: ["egg", "eggs", "dried_egg", "dehydrated_eggs", "duck_eggs", "egg_and_chicken_flavor"],
+  },
+  dairy: {
+    label: "dairy",
+    tokens: ["milk", "cheese", "whey", "fermented_raw_whey", "butter", "unsalted_butter", "ghee", "yogurt"],
+  },
+  beef: {
+    label: "beef",
+    tokens: ["beef", "freeze_dried_beef", "ground_beef_bone", "meat_meal", "meat_and_bone_meal"],
+  },
+  fish: {
+    label: "fish",
+    tokens: [
+      "fish",
+      "salmon",
+      "deboned_salmon",
+      "smoke_flavored_salmon",
+      "whitefish",
+      "trout",
+      "herring",
+      "whole_herring",
+      "dehydrated_herring",
+      "hydrolyzed_herring",
+      "mackerel",
+      "whole_mackerel",
+      "menhaden",
+      "ocean_fish_meal",
+      "alaska_pollock_meal",
+      "pollock_oil",
+      "whiting_meal",
+      "flounder",
+      "perch",
+      "cod_liver_oil",
+    ],
+  },
+  lamb: { label: "lamb", tokens: ["lamb", "roasted_lamb"] },
+  pork: { label: "pork", tokens: ["pork", "wild_boar", "spray_dried_porcine_plasma", "spray_dried_pork_liver"] },
+  soy: { label: "soy", tokens: ["soy", "soybean", "soybean_meal", "soy_flour"] },
+  wheat: { label: "wheat", tokens: ["wheat", "whole_wheat", "wheat_flour", "flour"] },
+  corn: {
+    label: "corn",
+    tokens: ["corn", "ground_yellow_corn", "ground_whole_grain_corn", "whole_grain_ground_corn"],
+  },
+};
+
+const readAllergenProfiles = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ALLERGEN_STORAGE_KEY) || "[]");
+    return new Set((Array.isArray(stored) ? stored : []).filter((id) => ALLERGEN_PROFILES[id]));
+  } catch (error) {
+    return new Set();
+  }
+};
+
+const writeAllergenProfiles = (activeIds) => {
+  try {
+    localStorage.setItem(ALLERGEN_STORAGE_KEY, JSON.stringify([...activeIds]));
+  } catch (error) {
+    console.warn("Could not save allergen profiles", error);
+  }
+};
+
+/* folds active profiles into the query's excludes so computeMatch needs no changes */
+const applyAllergenProfiles = (state, activeIds) => {
+  if (!activeIds.size) return state;
+  const excludes = new Set(state.excludes);
+  const excludeLabels = new Map(state.excludeLabels);
+  activeIds.forEach((id) => {
+    const profile = ALLERGEN_PROFILES[id];
+    profile.tokens.forEach((token) => {
+      excludes.add(token);
+      if (!excludeLabels.has(token)) excludeLabels.set(token, `${profile.label} allergen profile`);
+    });
+  });
+  return { ...state, excludes, excludeLabels };
+};
+
+/* ========= query tokenizer ========= */
+/* splits the raw query into words, "quoted phrases", parentheses and OR/AND operators;
+   a leading "-" sticks to the word, phrase or "(" that follows it. Operators are uppercase only,
+   so a lowercase "or"/"and" stays an ordinary word */
+const queryError = (message, position) => Object.assign(new Error(message), { position });
 
-  const includeGroups = [];
-  const excludes = new Set();
-  const labelIncludes = new Set();
-  const labelExcludes = new Set();
+const tokenizeQuery = (q) => {
+  const text = String(q || "");
+  const tokens = [];
+  let index = 0;
 
-  for (let index = 0; index < parts.length; ) {
-    const raw = parts[index];
-    if (!raw) {
+  while (index < text.length) {
+    const char = text[index];
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+    if (char === "(" || char === ")") {
+      tokens.push({ type: char === "(" ? "open" : "close", position: index });
       index += 1;
       continue;
     }
 
-    const isExclude = raw.startsWith("-");
-    const baseRaw = isExclude ? raw.slice(1) : raw;
-    const base = normalizeToken(baseRaw);
-    if (!base) {
+    const start = index;
+    const negate = char === "-" && index + 1 < text.length && !/\s/.test(text[index + 1]);
+    if (negate) index += 1;
+
+    if (text[index] === "(") {
+      tokens.push({ type: "not", position: start });
       index += 1;
       continue;
     }
 
-    const group = new Set();
-    let labelToken = base;
-    let skipNext = false;
-
-    const nextRaw = parts[index + 1];
-    let phraseToken = "";
-    if (nextRaw && !nextRaw.startsWith("-")) {
-      const next = normalizeToken(nextRaw);
-      if (next) {
-        phraseToken = normalizeToken(`${base}_${next}`);
-        if (phraseToken && PHRASE_SYNONYM_OVERRIDES.has(phraseToken)) {
-          skipNext = true;
-          labelToken = phraseToken;
-          expandSynonyms(phraseToken).forEach((token) => group.add(token));
-        }
-      }
+    if (text[index] === '"') {
+      const end = text.indexOf('"', index + 1);
+      if (end === -1) throw queryError("This quote is never closed.", index);
+      const phrase = text.slice(index + 1, end);
+      if (!normalizeToken(phrase)) throw queryError("These quotes are empty.", index);
+      /* "sweet potato"@top3 */
+      const position = /^@top\d+/i.exec(text.slice(end + 1));
+      tokens.push({ type: "phrase", value: `${phrase}${position ? position[0] : ""}`, negate, position: start });
+      index = end + 1 + (position ? position[0].length : 0);
+      continue;
     }
 
-    if (!skipNext) {
-      expandSynonyms(base).forEach((token) => group.add(token));
-      if (phraseToken) {
-        group.add(phraseToken);
-        simplePluralVariants(phraseToken).forEach((value) => group.add(value));
-      }
+    let end = index;
+    while (end < text.length && !/[\s()"]/.test(text[end])) end += 1;
+    const word = text.slice(index, end);
+    index = end;
+    if (!negate && /^(OR|\|)$/.test(word)) {
+      tokens.push({ type: "or", position: start });
+    } else if (!negate && word === "AND") {
+      tokens.push({ type: "and", position: start });
+    } else if (word) {
+      tokens.push({ type: "word", value: word, negate, position: start });
     }
+  }
 
-    if (!group.size) {
-      index += skipNext ? 2 : 1;
-      continue;
+  return tokens;
+};
+
+/* ========= query terms ========= */
+/* one query word (or quoted phrase) -> an expression leaf:
+   term { group, label }, range { range }, purity { tiers } or position { group, max } */
+const parseTermNode = (raw, { quoted = false, nextRaw = null, synonyms = {} } = {}) => {
+  const positionMatch = POSITION_PATTERN.exec(raw);
+  const baseRaw = positionMatch ? positionMatch[1] : raw;
+  const topN = positionMatch ? Number(positionMatch[2]) : null;
+
+  const withPosition = (node) =>
+    topN ? { type: "position", group: node.group, max: topN, label: `${node.label}@top${topN}` } : node;
+
+  if (!quoted) {
+    const range = parseRangeTerm(baseRaw);
+    if (range) return { type: "range", range, label: `${range.label}${range.op}${range.value}` };
+
+    const purityMatch = /^purity:(.+)$/i.exec(baseRaw);
+    if (purityMatch) {
+      const tiers = purityTiersForTerm(purityMatch[1]);
+      return { type: "purity", tiers, label: `purity:${normalizeToken(purityMatch[1])}` };
     }
 
-    const labelTarget = isExclude ? labelExcludes : labelIncludes;
-    if (labelToken) labelTarget.add(labelToken);
+    const categoryMatch = /^categor(?:y|ies):(.+)$/i.exec(baseRaw);
+    const keyword = categoryMatch
+      ? categoryKeywordFor(categoryMatch[1], { scoped: true })
+      : categoryKeywordFor(baseRaw);
+    const keywordSlugs = keyword ? categoryKeywordSlugs(keyword) : [];
+    if (keywordSlugs.length) {
+      return withPosition({ type: "term", group: new Set(keywordSlugs), label: `category:${keyword.label}` });
+    }
 
-    if (isExclude) {
-      group.forEach((token) => excludes.add(token));
-    } else {
-      includeGroups.push(group);
+    const scope = parseScopedTerm(baseRaw);
+    if (scope) {
+      const group = new Set();
+      expandSynonyms(scope.value, synonyms).forEach((token) => group.add(scopedToken(scope.field, token)));
+      return withPosition({ type: "term", group, label: scopedToken(scope.field, scope.value) });
     }
+  }
+
+  const base = normalizeToken(baseRaw);
+  if (!base) return null;
+
+  if (base !== "single" && PURITY_QUERY_ALIASES[base]) {
+    return { type: "purity", tiers: PURITY_QUERY_ALIASES[base], label: "single-protein" };
+  }
+
+  const quotedKeyword = quoted ? categoryKeywordFor(base) : null;
+  if (quotedKeyword) {
+    return withPosition({
+      type: "term",
+      group: new Set(categoryKeywordSlugs(quotedKeyword)),
+      label: `category:${quotedKeyword.label}`,
+    });
+  }
 
-    index += skipNext ? 2 : 1;
+  const group = expandSynonyms(base, synonyms);
+  /* "sweet potato": the first word also answers to the joined slug */
+  const next = !topN && nextRaw ? normalizeToken(nextRaw) : "";
+  if (next) {
+    const phraseToken = normalizeToken(`${base}_${next}`);
+    group.add(phraseToken);
+    simplePluralVariants(phraseToken).forEach((value) => group.add(value));
   }
+  return withPosition({ type: "term", group, label: quoted ? `"${baseRaw.trim()}"` : base });
+};
 
-  return { includeGroups, excludes, labelIncludes, labelExcludes };
+/* why a word that looks like a filter can't be read, or null; without this "purity:foo" or "protein>>30"
+   would quietly search for the literal text */
+const malformedTermMessage = (raw) => {
+  const scope = /^([a-z_]+):(.*)$/i.exec(raw);
+  if (scope) {
+    const field = normalizeToken(scope[1]);
+    const known = FIELD_SCOPES[field] || field === "purity" || /^categor(?:y|ies)$/.test(field);
+    if (known && !normalizeToken(scope[2])) return `"${scope[1]}:" needs a value after the colon.`;
+    if (field === "purity" && !purityTiersForTerm(scope[2])) {
+      return `Unknown purity tier "${scope[2]}". Use ${Object.keys(PURITY_TIERS).join(", ")} or single.`;
+    }
+  }
+  const range = /^([a-z_]+)[<>=!]/i.exec(raw);
+  if (range && RANGE_FIELDS[normalizeToken(range[1])] && !parseRangeTerm(raw)) {
+    return `"${raw}" isn't a range. Write it like protein>30 or fat<=16.`;
+  }
+  if (/@top/i.test(raw) && !POSITION_PATTERN.test(raw)) return `"@top" needs a term and a position, like chicken@top3.`;
+  return null;
 };
 
-/* ========= tokenization from product ========= */
-const explodeSlug = (slug) => {
-  const normalized = normalizeToken(slug);
-  if (!normalized) return [];
-  const idx = normalized.indexOf("_");
-  return idx > 0 ? [normalized, normalized.slice(0, idx)] : [normalized];
+/* two plain words that only mean something together: "no grain", "single protein", "artificial preservatives" */
+const pairedPhrase = (raw, nextRaw) => {
+  const phrase = normalizeToken(`${raw}_${nextRaw}`);
+  return PHRASE_SYNONYM_OVERRIDES.has(phrase) || PURITY_QUERY_ALIASES[phrase] || categoryKeywordFor(phrase)
+    ? phrase
+    : null;
+};
+
+/* ========= query expression parser ========= */
+/*   or   := and ("OR" and)*
+     and  := both (" " both)*                       (a space is a soft join: products may match only some terms)
+     both := unary ("AND" unary)*                   (an explicit AND requires every operand)
+     unary:= "-(" or ")" | "(" or ")" | term          (-word / -"phrase" negate a single term) */
+const parseExpression = (tokens, { synonyms = {} } = {}) => {
+  let index = 0;
+  const peek = () => tokens[index];
+
+  const joinNodes = (type, children) => {
+    if (children.length === 1) return children[0];
+    const separator = type === "or" ? " OR " : " ";
+    return { type, children, label: children.map((child) => child.label).join(separator) };
+  };
+  const negateNode = (node) => ({ type: "not", child: node, label: `-${node.label}` });
+
+  const parseTermToken = () => {
+    const token = tokens[index];
+    index += 1;
+    const topN = POSITION_PATTERN.exec(token.value);
+    if (topN && !Number(topN[2])) {
+      throw queryError(`"@top${topN[2]}" needs a position of 1 or more.`, token.position);
+    }
+    const problem = token.type === "word" && malformedTermMessage(token.value);
+    if (problem) throw queryError(problem, token.position);
+    if (token.type === "phrase") {
+      const node = parseTermNode(token.value, { quoted: true, synonyms });
+      return node && { ...node, negate: token.negate };
+    }
+
+    const next = peek();
+    const nextIsPlainWord = next && next.type === "word" && !next.negate;
+    if (nextIsPlainWord && !POSITION_PATTERN.test(token.value)) {
+      const phrase = pairedPhrase(token.value, next.value);
+      if (phrase) {
+        index += 1;
+        const node = parseTermNode(phrase, { synonyms });
+        return node && { ...node, negate: token.negate };
+      }
+    }
+    const nextRaw =
+      nextIsPlainWord && !parseScopedTerm(next.value) && !PURITY_QUERY_ALIASES[normalizeToken(token.value)]
+        ? next.value
+        : null;
+    const node = parseTermNode(token.value, { nextRaw, synonyms });
+    return node && { ...node, negate: token.negate };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token.type === "open" || token.type === "not") {
+      index += 1;
+      const inner = parseOr();
+      const close = peek();
+      if (!close || close.type !== "close") throw queryError("This parenthesis is never closed.", token.position);
+      index += 1;
+      if (!inner) throw queryError("These parentheses are empty.", token.position);
+      return token.type === "not" ? negateNode(inner) : inner;
+    }
+    if (token.type === "close") throw queryError("This parenthesis has no opening match.", token.position);
+    if (token.type === "or" || token.type === "and") {
+      throw queryError(`"${token.type.toUpperCase()}" needs a term on both sides.`, token.position);
+    }
+    const { negate, ...node } = parseTermToken() || { negate: false };
+    if (!node.type) return null;
+    return negate ? negateNode(node) : node;
+  };
+
+  const parseBoth = () => {
+    const children = [];
+    const first = parseUnary();
+    if (first) children.push(first);
+    while (peek() && peek().type === "and") {
+      const operator = peek();
+      index += 1;
+      if (!children.length || !peek() || ["or", "and", "close"].includes(peek().type)) {
+        throw queryError('"AND" needs a term on both sides.', operator.position);
+      }
+      const next = parseUnary();
+      if (next) children.push(next);
+    }
+    if (children.length < 2) return children[0] || null;
+    return { type: "and", strict: true, children, label: children.map((child) => child.label).join(" AND ") };
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (peek() && peek().type !== "or" && peek().type !== "close") {
+      if (peek().type === "and") throw queryError('"AND" needs a term on both sides.', peek().position);
+      const node = parseBoth();
+      if (node) children.push(node);
+    }
+    return children.length ? joinNodes("and", children) : null;
+  };
+
+  const parseOr = () => {
+    const children = [];
+    const first = parseAnd();
+    if (first) children.push(first);
+    while (peek() && peek().type === "or") {
+      const operator = peek();
+      index += 1;
+      const next = parseAnd();
+      if (!children.length || !next) throw queryError('"OR" needs a term on both sides.', operator.position);
+      children.push(next);
+    }
+    if (!children.length) return null;
+    if (children.length === 1) return children[0];
+    const node = joinNodes("or", children);
+    return { ...node, label: `(${node.label})` };
+  };
+
+  const tree = parseOr();
+  if (index < tokens.length) throw queryError("This parenthesis has no opening match.", tokens[index].position);
+  return tree;
+};
+
+/* ========= Parse user query ========= */
+const emptyParseResult = () => ({
+  includeGroups: [],
+  groupLabels: [],
+  excludes: new Set(),
+  excludeLabels: new Map(),
+  labelIncludes: new Set(),
+  labelExcludes: new Set(),
+  labelFilters: new Set(),
+  filters: { purityTiers: new Set(), purityExcludes: new Set(), ranges: [], positions: [], negated: [] },
+  expression: null,
+  error: null,
+});
+
+/* "chicken@top3": the term must appear within the first N label ingredients */
+const POSITION_PATTERN = /^(.+)@top(\d+)$/i;
+
+/* top-level space-joined terms keep their flat roles (include groups, excludes, filters) so ranking and
+   the explain views work as before; OR / AND / parenthesised / negated groups become expression groups */
+const parseQuery = (q, { synonyms = {} } = {}) => {
+  const result = emptyParseResult();
+  let tree;
+  try {
+    tree = parseExpression(tokenizeQuery(q), { synonyms });
+  } catch (error) {
+    return { ...result, error: { message: error.message, position: error.position ?? null } };
+  }
+  if (!tree) return result;
+  result.expression = tree;
+
+  const { includeGroups, groupLabels, excludes, excludeLabels, labelIncludes, labelExcludes, labelFilters, filters } =
+    result;
+  const topLevel = tree.type === "and" && !tree.strict ? tree.children : [tree];
+
+  topLevel.forEach((node) => {
+    const negated = node.type === "not";
+    const leaf = negated ? node.child : node;
+    switch (leaf.type) {
+      case "range":
+        filters.ranges.push({ ...leaf.range, negate: negated });
+        labelFilters.add(node.label);
+        return;
+      case "purity":
+        leaf.tiers.forEach((tier) => (negated ? filters.purityExcludes : filters.purityTiers).add(tier));
+        labelFilters.add(node.label);
+        return;
+      case "position":
+        filters.positions.push({ tokens: leaf.group, max: leaf.max, negate: negated });
+        labelFilters.add(node.label);
+        if (!negated) {
+          includeGroups.push(leaf.group);
+          groupLabels.push(leaf.label);
+        }
+        return;
+      case "term":
+        if (negated) {
+          labelExcludes.add(leaf.label);
+          leaf.group.forEach((token) => {
+            excludes.add(token);
+            if (!excludeLabels.has(token)) excludeLabels.set(token, node.label);
+          });
+        } else {
+          labelIncludes.add(leaf.label);
+          includeGroups.push(leaf.group);
+          groupLabels.push(leaf.label);
+        }
+        return;
+      default:
+        if (negated) {
+          labelExcludes.add(leaf.label);
+          filters.negated.push(leaf);
+          excludeLabels.set(leaf.label, node.label);
+        } else {
+          labelIncludes.add(leaf.label);
+          includeGroups.push(leaf);
+          groupLabels.push(leaf.label);
+        }
+    }
+  });
+
+  return result;
 };
 
+/* ========= tokenization from product ========= */
 const tokensFromString = (value) =>
   String(value || "")
     .split(/[\s/_-]+/)
@@ -181,26 +737,49 @@ const tokensFromString = (value) =>
 /* ========= build token set ========= */
 const addTokens = (target, tokens) => tokens.forEach((token) => target.add(token));
 
+const addScopedTokens = (target, field, tokens) =>
+  tokens.forEach((token) => target.add(scopedToken(field, token)));
+
 const productTokenSet = (product) => {
-  const { id, name, brand, contains_grain, protein_sources = [], ingredients_list = "" } = product;
+  const {
+    id,
+    name,
+    brand,
+    life_stage,
+    contains_grain,
+    protein_sources = [],
+    ingredients_list = "",
+  } = product;
   const tokens = new Set();
 
   [id, name, brand].forEach((value) => addTokens(tokens, tokensFromString(value)));
 
+  /* "Taste of the Wild" also answers to "totw" */
+  const brandWords = tokensFromString(brand);
+  const brandAcronym = brandWords.length >= 3 ? brandWords.map((word) => word[0]).join("") : "";
+  if (brandAcronym) tokens.add(brandAcronym);
+
+  addScopedTokens(tokens, "brand", [normalizeToken(brand || ""), ...brandWords, brandAcronym].filter(Boolean));
+  addScopedTokens(tokens, "stage", [normalizeToken(life_stage || ""), ...tokensFromString(life_stage)].filter(Boolean));
+
   ingredients_list
     .split(";")
     .map((item) => item.trim())
     .filter(Boolean)
-    .forEach((ingredient) => addTokens(tokens, explodeSlug(ingredient)));
+    .forEach((ingredient) => {
+      addTokens(tokens, ingredientTerms(ingredient));
+      addScopedTokens(tokens, "ingredient", ingredientTerms(ingredient));
+    });
 
-  protein_sources.forEach((source) => addTokens(tokens, explodeSlug(source)));
+  protein_sources.forEach((source) => {
+    addTokens(tokens, ingredientTerms(source));
+    addScopedTokens(tokens, "protein", ingredientTerms(source));
+    const parsed = parseProteinSource(source);
+    if (parsed) addScopedTokens(tokens, "protein", [parsed.base]);
+  });
 
   const grainTokens =
-    contains_grain === true
-      ? ["contains_grain", "grain", "grains", "with_grains"]
-      : contains_grain === false
-      ? ["grain_free", "no_grain", "no_grains", "grainfree"]
-      : [];
+    contains_grain === true ? [...GRAIN_WITH_TOKENS] : contains_grain === false ? [...GRAIN_FREE_TOKENS] : [];
   addTokens(tokens, grainTokens);
 
   addTokens(tokens, protein_sources.length ? ["has_protein", "protein"] : ["no_protein"]);
@@ -220,24 +799,20 @@ const hasToken = (tokenSet, token) => {
     return [...GRAIN_FREE_TOKENS].some((value) => tokenSet.has(value));
   }
 
-  for (const value of tokenSet) {
-    if (value === token) return true;
-    if (value.startsWith(`${token}_`)) return true;
-    if (value.startsWith(token)) return true;
-  }
   return false;
 };
 
-/* Special-case exclude matcher so -grain/-grains do NOT exclude grain-free by prefix */
-const hasTokenExclude = (tokenSet, tok) => {
-  const token = normalizeToken(tok);
-  if (token === "grain" || token === "grains") {
-    return ["contains_grain", "grain", "grains", "with_grains"].some((value) => tokenSet.has(value));
-  }
-  for (const value of tokenSet) {
-    if (value === token || value.startsWith(`${token}_`)) return true;
+/* Special-case exclude matcher so -grain/-grains do NOT exclude grain-free products.
+   Returns the label ingredient that triggered the exclusion when there is one. */
+const findExcludeMatch = (tokenSet, tok, ingredients = []) => {
+  const token = normalizeScopedToken(tok);
+  if (GRAIN_WITH_TOKENS.has(token)) {
+    return [...GRAIN_WITH_TOKENS].find((value) => tokenSet.has(value)) || null;
   }
-  return false;
+  if (!tokenSet.has(token)) return null;
+  const { field, value } = splitScopedToken(token);
+  if (field !== "" && field !== "ingredient") return token;
+  return ingredients.find((ingredient) => ingredientTokenMatches(value, ingredient)) || token;
 };
 
 const PROTEIN_DESCRIPTOR_PREFIXES = [
@@ -375,17 +950,15 @@ const ingredientTokens = (product) => {
   return tokens;
 };
 
-const orderedIngredientTokens = (product) => {
-  const ordered = [];
-
+/* ingredients in label order, without the protein_sources tail */
+const labelIngredientTokens = (product) =>
   String(product.ingredients_list || "")
     .split(/[;,\n]+/)
-    .map((item) => item.trim())
-    .filter(Boolean)
-    .forEach((item) => {
-      const normalized = normalizeToken(item);
-      if (normalized) ordered.push(normalized);
-    });
+    .map((item) => normalizeToken(item.trim()))
+    .filter(Boolean);
+
+const orderedIngredientTokens = (product) => {
+  const ordered = labelIngredientTokens(product);
 
   (product.protein_sources || []).forEach((source) => {
     const normalized = normalizeToken(source);
@@ -397,14 +970,7 @@ const orderedIngredientTokens = (product) => {
 
 const ingredientTokenMatches = (token, ingredient) => {
   if (!token || !ingredient) return false;
-  if (ingredient === token) return true;
-  if (ingredient.startsWith(`${token}_`)) return true;
-  if (token.startsWith(`${ingredient}_`)) return true;
-  if (!token.includes("_")) {
-    const parts = ingredient.split("_");
-    if (parts.includes(token)) return true;
-  }
-  return false;
+  return ingredientTerms(ingredient).includes(token);
 };
 
 const evaluateIngredientGroupScore = (tokens, orderedIngredients) => {
@@ -431,45 +997,191 @@ const evaluateIngredientGroupScore = (tokens, orderedIngredients) => {
   return { ingredientMatched: true, ingredientScore, ingredientIndex: bestIndex };
 };
 
+/* strips ingredient/protein scopes for position scoring; other scopes don't score */
+const ingredientScoringToken = (token) => {
+  const { field, value } = splitScopedToken(token);
+  return INGREDIENT_SCOPES.has(field) ? value : "";
+};
+
 const countTokenMatches = (tokenList, rawToken) => {
-  const token = normalizeToken(rawToken);
+  const token = ingredientScoringToken(rawToken);
   if (!token) return 0;
 
-  return tokenList.reduce((total, value) => {
-    if (value === token) return total + 1;
-    if (!token.includes("_") && value.split("_").includes(token)) return total + 1;
-    return total;
-  }, 0);
+  return tokenList.reduce((total, value) => total + (ingredientTokenMatches(token, value) ? 1 : 0), 0);
+};
+
+const rangeFieldValue = (product, { key, dryMatter }) => {
+  const value = analysisValue(product, key);
+  return dryMatter ? dryMatterPercent(value, analysisValue(product, "moisture")) : value;
+};
+
+/* an unreported value (wet and raw foods have no kcal per cup) is unknown: it fails a range
+   but passes a negated one, since it can't be shown to be inside it */
+const passesRange = (product, range) => {
+  const value = rangeFieldValue(product, range);
+  if (value === null) return Boolean(range.negate);
+  const passed = RANGE_OPERATORS[range.op](value, range.value);
+  return range.negate ? !passed : passed;
+};
+
+/* the term groups an expression can be satisfied by; negated branches never score */
+const expressionTermGroups = (node) => {
+  if (node instanceof Set) return [node];
+  if (node.type === "term" || node.type === "position") return [node.group];
+  if (node.type === "and" || node.type === "or") return node.children.flatMap(expressionTermGroups);
+  return [];
 };
 
-const computeMatch = (product, includeGroups, excludes) => {
+const groupScoringTokens = (group) =>
+  expressionTermGroups(group)
+    .flatMap((terms) => [...terms])
+    .map(normalizeScopedToken)
+    .map(ingredientScoringToken)
+    .filter(Boolean);
+
+const passesPosition = (product, { tokens, max, negate }) => {
+  const { ingredientIndex } = evaluateIngredientGroupScore(
+    groupScoringTokens(tokens),
+    labelIngredientTokens(product)
+  );
+  const within = ingredientIndex !== null && ingredientIndex < max;
+  return negate ? !within : within;
+};
+
+const computeMatch = (product, includeGroups, excludes, filters = {}) => {
   const tokens = productTokenSet(product);
   const frequencyTokens = ingredientTokens(product);
   const orderedIngredients = orderedIngredientTokens(product);
+  const { tier, percent: purity } = evaluateProteinPurity(product.protein_sources);
+  const {
+    purityTiers = new Set(),
+    purityExcludes = new Set(),
+    ranges = [],
+    positions = [],
+    negated = [],
+  } = filters;
+  const neededGroups = includeGroups.length;
+  const hidden = (hiddenBy, extra = {}) => ({
+    match: 0,
+    sortScore: 0,
+    matchedGroups: 0,
+    neededGroups,
+    show: false,
+    tier,
+    purity,
+    hiddenBy,
+    ...extra,
+  });
 
   for (const ex of excludes) {
-    if (hasTokenExclude(tokens, ex)) {
-      return { match: 0, sortScore: 0, matchedGroups: 0, neededGroups: includeGroups.length, show: false };
-    }
+    const excludedMatch = findExcludeMatch(tokens, ex, orderedIngredients);
+    if (excludedMatch) return hidden("exclude", { excludedBy: ex, excludedMatch });
   }
 
-  const neededGroups = includeGroups.length;
-  const groupEvaluations = includeGroups.map((group) => {
-    const normalizedGroupTokens = [...group].map(normalizeToken).filter(Boolean);
+  if ((purityTiers.size && !purityTiers.has(tier)) || purityExcludes.has(tier)) return hidden("purity");
+  const failedRange = ranges.find((range) => !passesRange(product, range));
+  if (failedRange) return hidden("range", { unreported: rangeFieldValue(product, failedRange) === null });
+  if (!positions.every((position) => passesPosition(product, position))) return hidden("position");
+
+  const evaluateTerms = (group) => {
+    const normalizedGroupTokens = [...group].map(normalizeScopedToken).filter(Boolean);
     const requirement = normalizedGroupTokens.some((token) => GRAIN_WITH_TOKENS.has(token))
       ? "with"
       : normalizedGroupTokens.some((token) => GRAIN_FREE_TOKENS.has(token))
       ? "without"
       : null;
+    const attribute = normalizedGroupTokens.some((token) => !INGREDIENT_SCOPES.has(splitScopedToken(token).field));
     const matched = normalizedGroupTokens.some((token) => hasToken(tokens, token));
-    const ingredientData = evaluateIngredientGroupScore(normalizedGroupTokens, orderedIngredients);
-    return { matched, requirement, ...ingredientData };
+    const ingredientData = evaluateIngredientGroupScore(
+      normalizedGroupTokens.map(ingredientScoringToken).filter(Boolean),
+      orderedIngredients
+    );
+    const frequency = normalizedGroupTokens.reduce(
+      (count, token) => Math.max(count, countTokenMatches(frequencyTokens, token)),
+      0
+    );
+    const score = !matched ? 0 : ingredientData.ingredientMatched ? ingredientData.ingredientScore : 1;
+    const boost =
+      ingredientData.ingredientIndex === null ? 0 : orderedIngredients.length - ingredientData.ingredientIndex;
+    return { matched, requirement, attribute, frequency, score, boost, ...ingredientData };
+  };
+
+  /* expression groups from OR / AND / parentheses: OR keeps its best branch, AND needs every part and averages them,
+     filters and negations inside a group count as a plain yes/no */
+  const yesNo = (matched) => ({
+    matched,
+    requirement: null,
+    attribute: false,
+    frequency: 0,
+    score: matched ? 1 : 0,
+    boost: 0,
+    ingredientMatched: false,
+    ingredientScore: 0,
+    ingredientIndex: null,
   });
 
+  const evaluateExpression = (node) => {
+    if (node instanceof Set) return evaluateTerms(node);
+    switch (node.type) {
+      case "term":
+        return { ...evaluateTerms(node.group), requirement: null };
+      case "position": {
+        const terms = evaluateTerms(node.group);
+        const matched = terms.matched && passesPosition(product, { tokens: node.group, max: node.max });
+        return { ...terms, requirement: null, matched, score: matched ? terms.score : 0 };
+      }
+      case "range":
+        return yesNo(passesRange(product, node.range));
+      case "purity":
+        return yesNo(node.tiers.includes(tier));
+      case "not":
+        return yesNo(!evaluateExpression(node.child).matched);
+      case "or": {
+        const branches = node.children.map(evaluateExpression);
+        const best = branches
+          .filter((branch) => branch.matched)
+          .sort((a, b) => b.score - a.score || b.boost - a.boost)[0];
+        return { ...(best || yesNo(false)), attribute: branches.every((branch) => branch.attribute) };
+      }
+      default: {
+        const parts = node.children.map(evaluateExpression);
+        const indexes = parts.map((part) => part.ingredientIndex).filter((index) => index !== null);
+        const ingredientIndex = indexes.length ? Math.min(...indexes) : null;
+        return {
+          matched: parts.every((part) => part.matched),
+          requirement: null,
+          attribute: parts.some((part) => part.attribute),
+          frequency: parts.reduce((total, part) => total + part.frequency, 0),
+          score: parts.every((part) => part.matched)
+            ? parts.reduce((total, part) => total + part.score, 0) / parts.length
+            : 0,
+          boost: parts.reduce((total, part) => total + part.boost, 0),
+          ingredientMatched: ingredientIndex !== null,
+          ingredientScore: parts.reduce((total, part) => total + part.ingredientScore, 0) / parts.length,
+          ingredientIndex,
+        };
+      }
+    }
+  };
+
+  for (const node of negated) {
+    const evaluation = evaluateExpression(node);
+    if (evaluation.matched) {
+      return hidden("exclude", {
+        excludedBy: node.label,
+        excludedMatch: evaluation.ingredientIndex === null ? node.label : orderedIngredients[evaluation.ingredientIndex],
+      });
+    }
+  }
+
+  const groupEvaluations = includeGroups.map(evaluateExpression);
+
   const matchedGroups = groupEvaluations.filter((group) => group.matched).length;
 
-  if (neededGroups > 0 && matchedGroups === 0)
-    return { match: 0, sortScore: 0, matchedGroups, neededGroups, show: false };
+  if (neededGroups > 0 && matchedGroups === 0) return hidden("no-match", { matchedGroups });
+
+  if (groupEvaluations.some((group) => group.attribute && !group.matched))
+    return hidden("attribute", { matchedGroups });
 
   const requiresGrain = groupEvaluations.some((group) => group.requirement === "with");
   const requiresGrainFree = groupEvaluations.some((group) => group.requirement === "without");
@@ -479,50 +1191,155 @@ const computeMatch = (product, includeGroups, excludes) => {
     (requiresGrainFree &&
       !groupEvaluations.some((group) => group.requirement === "without" && group.matched))
   )
-    return { match: 0, sortScore: 0, matchedGroups, neededGroups, show: false };
-
-  const ingredientMatchedGroups = groupEvaluations.filter((group) => group.ingredientMatched);
+    return hidden("grain", { matchedGroups });
 
-  const totalScore = groupEvaluations.reduce((score, group) => {
-    if (!group.matched) return score;
-    if (group.ingredientMatched) return score + group.ingredientScore;
-    return score + 1;
-  }, 0);
+  const totalScore = groupEvaluations.reduce((score, group) => score + group.score, 0);
 
   const match = neededGroups === 0 ? 0 : Math.round((totalScore / neededGroups) * 100);
 
-  const frequencyScore = includeGroups.reduce((score, group) => {
-    let groupCount = 0;
-    group.forEach((token) => {
-      groupCount = Math.max(groupCount, countTokenMatches(frequencyTokens, token));
-    });
-    return score + groupCount;
-  }, 0);
+  const frequencyScore = groupEvaluations.reduce((score, group) => score + group.frequency, 0);
 
-  const ingredientRankBoost = ingredientMatchedGroups.reduce((boost, group) => {
-    if (group.ingredientIndex === null) return boost;
-    return boost + (orderedIngredients.length - group.ingredientIndex);
-  }, 0);
+  const ingredientRankBoost = groupEvaluations.reduce((boost, group) => boost + group.boost, 0);
 
   const sortScore = match * 1000 + ingredientRankBoost * 10 + frequencyScore;
 
-  return { match, sortScore, matchedGroups, neededGroups, show: true };
-};
+  const scoringTokens = includeGroups.flatMap(groupScoringTokens);
+  const matchedPositions = labelIngredientTokens(product).reduce((acc, ingredient, index) => {
+    if (scoringTokens.some((token) => ingredientTokenMatches(token, ingredient))) acc.push(index);
+    return acc;
+  }, []);
+
+  const breakdown = {
+    groups: groupEvaluations.map(({ matched, ingredientIndex, score, frequency, boost }) => ({
+      matched,
+      ingredient: ingredientIndex === null ? null : orderedIngredients[ingredientIndex],
+      position: ingredientIndex === null ? null : ingredientIndex + 1,
+      score,
+      frequency,
+      boost,
+    })),
+    ingredientCount: orderedIngredients.length,
+    totalScore,
+    frequencyScore,
+    ingredientRankBoost,
+  };
 
+  return { match, sortScore, matchedGroups, neededGroups, show: true, tier, purity, matchedPositions, breakdown };
+};
 
 /* ========= helpers ========= */
 const yesNoLabel = (value) => (value === true ? "Yes" : value === false ? "No" : "—");
 
+/* ========= guaranteed analysis ========= */
+const ANALYSIS_FIELDS = [
+  { key: "crude_protein", label: "Protein", qualifier: "min" },
+  { key: "crude_fat", label: "Fat", qualifier: "min" },
+  { key: "crude_fiber", label: "Fiber", qualifier: "max" },
+  { key: "moisture", label: "Moisture", qualifier: "max" },
+];
+
+const analysisValue = (product, key) => {
+  const value = product.guaranteed_analysis?.[key];
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+};
+
+/* as-fed % -> dry-matter %, so wet and dry foods compare on the same footing */
+const dryMatterPercent = (value, moisture) => {
+  if (value === null || moisture === null || moisture >= 100) return null;
+  return Math.round((value / (100 - moisture)) * 1000) / 10;
+};
+
+const formatPercent = (value) => (value === null ? "—" : `${value}%`);
+
+const formatKcal = (value) => (value === null ? "—" : value.toLocaleString("en-US"));
+
+/* typical kibble ranges from the protein popup, converted to dry matter at 10% moisture */
+const PROTEIN_DM_BANDS = [
+  { max: 26.7, label: "below typical dry kibble" },
+  { max: 35.6, label: "typical dry kibble range" },
+  { max: 37.8, label: "upper end of typical kibble" },
+  { max: 44.4, label: "higher-protein kibble range" },
+  { max: Infinity, label: "very high protein" },
+];
+
+const proteinBandLabel = (dmProtein) =>
+  dmProtein === null ? "" : PROTEIN_DM_BANDS.find((band) => dmProtein <= band.max).label;
+
+const PROTEIN_FORM_LABELS = { pure: "whole", meal: "meal", fat: "fat/oil", other: "organ/by-product" };
+
+const proteinSourcesByBase = (proteinSources) =>
+  (proteinSources || []).map(parseProteinSource).filter(Boolean).reduce((acc, item) => {
+    if (!acc.has(item.base)) acc.set(item.base, new Set());
+    acc.get(item.base).add(PROTEIN_FORM_LABELS[item.form] || item.form);
+    return acc;
+  }, new Map());
+
 /* ========= popup ========= */
-const removeExistingPopups = () =>
-  document
-    .querySelectorAll(
-      ".ingredients-popup, .match-info-popup, .protein-info-popup, .grains-info-popup"
-    )
-    .forEach((el) => el.remove());
+const POPUP_SELECTOR =
+  ".ingredients-popup, .match-info-popup, .protein-info-popup, .grains-info-popup, .purity-info-popup, .comparison-popup, .hidden-products-popup, .similar-popup, .transition-popup, .favorites-popup, .export-popup";
+const FOCUSABLE_SELECTOR =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/* overlay -> { opener, owner }; the owner is the app root that opened it, so one widget never closes another's popups */
+const popupOpeners = new WeakMap();
+let popupCount = 0;
+
+/* closing hands focus back to whatever opened the popup, if it is still on the page */
+const closePopup = (overlay) => {
+  if (!overlay.isConnected) return;
+  const { opener } = popupOpeners.get(overlay) || {};
+  overlay.remove();
+  if (opener?.isConnected) opener.focus();
+};
+
+const removeExistingPopups = (owner) =>
+  document.querySelectorAll(POPUP_SELECTOR).forEach((overlay) => {
+    if (popupOpeners.get(overlay)?.owner === owner) closePopup(overlay);
+  });
+
+/* every popup is a modal dialog: named by its heading, Tab stays inside, Escape or the backdrop closes it */
+const showPopup = (overlay, owner) => {
+  const content = overlay.querySelector(".popup-content") || overlay;
+  const heading = content.querySelector("h2");
+  popupCount += 1;
+  content.setAttribute("role", "dialog");
+  content.setAttribute("aria-modal", "true");
+  if (heading) {
+    heading.id ||= `compare-popup-title-${popupCount}`;
+    content.setAttribute("aria-labelledby", heading.id);
+  }
+  content.tabIndex = -1;
+  popupOpeners.set(overlay, { opener: document.activeElement, owner });
+  document.body.append(overlay);
+
+  overlay.querySelector(".popup-close-icon")?.addEventListener("click", () => closePopup(overlay));
+  overlay.addEventListener("click", (event) => event.target === overlay && closePopup(overlay));
+  overlay.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      closePopup(overlay);
+      return;
+    }
+    if (event.key !== "Tab") return;
+    const focusable = [...content.querySelectorAll(FOCUSABLE_SELECTOR)];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!first) {
+      event.preventDefault();
+    } else if (event.shiftKey && (document.activeElement === first || document.activeElement === content)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  });
+
+  (content.querySelector("input, select, textarea") || content.querySelector(".popup-close-icon") || content).focus();
+};
 
-const openIngredientsPopup = (product) => {
-  removeExistingPopups();
+const openIngredientsPopup = (product, { owner } = {}) => {
+  removeExistingPopups(owner);
 
   const ingredientsText = (product.ingredients_list || "No ingredients listed.")
     .split(/[;,\n]+/)
@@ -534,29 +1351,104 @@ const openIngredientsPopup = (product) => {
   overlay.innerHTML = `
     <div class="popup-content">
       <button class="popup-close-icon" type="button" aria-label="Close">&times;</button>
-      <h2>${product.name}</h2>
-      <p class="brand">${product.brand}</p>
-      <div class="ingredients-body">${ingredientsText}</div>
+      <h2>${escapeHtml(product.name)}</h2>
+      <p class="brand">${escapeHtml(product.brand)}</p>
+      <div class="ingredients-body">${escapeHtml(ingredientsText)}</div>
     </div>
   `;
-  document.body.append(overlay);
-  overlay.querySelector(".popup-close-icon")?.addEventListener("click", () => overlay.remove());
-  overlay.addEventListener("click", (event) => event.target === overlay && overlay.remove());
+  showPopup(overlay, owner);
 };
 
-const openMatchInfoPopup = () => {
-  removeExistingPopups();
+const HIDDEN_REASONS = {
+  purity: "Its protein purity tier is filtered out by a purity:/single-protein term.",
+  range: "A guaranteed-analysis value fails one of your number filters (or is not reported).",
+  position: "An @topN term is not met within the first label ingredients.",
+  attribute: "It does not match a brand: or stage: term.",
+  grain: "It does not match your grain / grain-free term.",
+  "no-match": "None of your include terms were found.",
+};
 
-  const overlay = create("div", { className: "compare-popup match-info-popup" });
-  overlay.innerHTML = `
+const formatScore = (value) => (Math.round(value * 100) / 100).toFixed(2);
+
+const matchBreakdownSection = (product, result, { groupLabels = [], excludeLabels = new Map() } = {}) => {
+  if (result.hiddenBy === "exclude") {
+    const term = escapeHtml(excludeLabels.get(result.excludedBy) || `-${result.excludedBy}`);
+    const fix = term.startsWith("-")
+      ? `Remove <code>${term}</code> from the search to show it again.`
+      : "Turn the allergen profile off to show it again.";
+    return `
+        <section>
+          <h3>Hidden by “${term}”</h3>
+          <p>It matched <strong>${escapeHtml(humanizeSlug(splitScopedToken(result.excludedMatch).value))}</strong> in this product. ${fix}</p>
+        </section>`;
+  }
+  if (result.show === false) {
+    return `
+        <section>
+          <h3>Hidden</h3>
+          <p>${HIDDEN_REASONS[result.hiddenBy] || "It does not meet your search."}</p>
+        </section>`;
+  }
+
+  const { breakdown } = result;
+  if (!breakdown || !breakdown.groups.length) {
+    return `
+        <section>
+          <h3>No include terms</h3>
+          <p>Add ingredients to your search to score this product.</p>
+        </section>`;
+  }
+
+  const rows = breakdown.groups
+    .map((group, index) => {
+      const category = group.ingredient && lookupIngredient(group.ingredient)?.category;
+      const ingredient = group.ingredient
+        ? `${escapeHtml(humanizeSlug(group.ingredient))}${
+            category ? ` <span class="compare-muted">(${escapeHtml(humanizeSlug(category))})</span>` : ""
+          }`
+        : group.matched
+        ? "— (brand, stage or grain flag)"
+        : "not found";
+      const position = group.position === null ? "—" : `${group.position} of ${breakdown.ingredientCount}`;
+      return `<tr${group.matched ? "" : ' class="is-missing"'}>
+            <th scope="row">${escapeHtml(groupLabels[index] || `term ${index + 1}`)}</th>
+            <td>${ingredient}</td>
+            <td>${position}</td>
+            <td>${formatScore(group.score)}</td>
+            <td>${group.frequency}</td>
+            <td>${group.boost}</td>
+          </tr>`;
+    })
+    .join("");
+
+  return `
+        <section>
+          <h3>This product: ${result.match}% match</h3>
+          <p class="brand">${escapeHtml(product.brand)} — ${escapeHtml(product.name)}</p>
+          <div class="match-breakdown__scroller">
+            <table class="match-breakdown">
+              <thead>
+                <tr><th scope="col">Term</th><th scope="col">Best ingredient</th><th scope="col">Position</th><th scope="col">Ingredient score</th><th scope="col">Frequency</th><th scope="col">Rank boost</th></tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>
+          <p>Match = ${formatScore(breakdown.totalScore)} ÷ ${breakdown.groups.length} term(s) = <strong>${result.match}%</strong></p>
+          <p>Sort score = ${result.match} × 1000 + rank boost ${breakdown.ingredientRankBoost} × 10 + frequency ${breakdown.frequencyScore} = <strong>${result.sortScore.toLocaleString("en-US")}</strong></p>
+        </section>`;
+};
+
+const openMatchInfoPopup = (product, result, explain, { owner } = {}) => {
+  removeExistingPopups(owner);
+
+  const breakdown = product && result ? matchBreakdownSection(product, result, explain) : "";
+
+  const overlay = create("div", { className: "compare-popup match-info-popup" });
+  overlay.innerHTML = `
     <div class="popup-content">
       <button class="popup-close-icon" type="button" aria-label="Close">&times;</button>
       <h2>Match %</h2>
-      <div class="match-info-body">
-        <section>
-          <h3>Quick summary</h3>
-          <p>A fit score based on your include / exclude terms vs. this product’s ingredient list.</p>
-        </section>
+      <div class="match-info-body">${breakdown}
         <section>
           <h3>What it means</h3>
           <ul>
@@ -568,9 +1460,11 @@ const openMatchInfoPopup = () => {
         <section>
           <h3>How it’s calculated (plain English)</h3>
           <ul>
-            <li>+ points for every included term found</li>
-            <li>– points for every excluded term present</li>
-            <li>Normalized to a % (ingredients only; no price or quality judgment)</li>
+            <li>Each include term scores by its earliest matching ingredient: 1 − (position − 1) ÷ ingredient count. A term that matches the brand, life stage or grain flag scores 1.</li>
+            <li>Match % is the average of the term scores. A bracketed group such as <code>(salmon OR whitefish)</code> counts as one term and takes its best-scoring branch.</li>
+            <li>Terms separated by spaces are soft: a product can match only some of them at a lower %. Terms joined with <code>AND</code> (for example <code>lamb AND rice</code>) must all match.</li>
+            <li>Ties are ordered by rank boost (how early the matches sit) and then by how often the terms appear.</li>
+            <li>Any exclude term that is present hides the product (ingredients only; no price or quality judgment).</li>
           </ul>
         </section>
         <section>
@@ -581,20 +1475,64 @@ const openMatchInfoPopup = () => {
     </div>
   `;
 
-  document.body.append(overlay);
-  overlay.querySelector(".popup-close-icon")?.addEventListener("click", () => overlay.remove());
-  overlay.addEventListener("click", (event) => event.target === overlay && overlay.remove());
+  showPopup(overlay, owner);
+};
+
+const openHiddenProductsPopup = (entries, explain = {}, { owner } = {}) => {
+  removeExistingPopups(owner);
+
+  const overlay = create("div", { className: "compare-popup hidden-products-popup" });
+  const content = create("div", { className: "popup-content" });
+  content.innerHTML = `
+    <button class="popup-close-icon" type="button" aria-label="Close">&times;</button>
+    <h2>Hidden by exclusions</h2>
+    <p class="brand">Select a product to see why it was hidden.</p>
+  `;
+  const list = create("ul", { className: "hidden-products-list" });
+  entries.forEach(({ product, result }) => {
+    const item = create("li");
+    const button = create("button", { type: "button", textContent: product.name });
+    button.addEventListener("click", () => openMatchInfoPopup(product, result, explain, { owner }));
+    const term = explain.excludeLabels?.get(result.excludedBy) || `-${result.excludedBy}`;
+    item.append(button, create("span", { className: "compare-muted", textContent: ` — hidden by ${term}` }));
+    list.append(item);
+  });
+  content.append(list);
+  overlay.append(content);
+
+  showPopup(overlay, owner);
 };
 
-const openProteinInfoPopup = () => {
-  removeExistingPopups();
+const openProteinInfoPopup = (product, { owner } = {}) => {
+  removeExistingPopups(owner);
+
+  const moisture = product ? analysisValue(product, "moisture") : null;
+  const rows = product
+    ? ANALYSIS_FIELDS.map(({ key, label, qualifier }) => {
+        const value = analysisValue(product, key);
+        const dm = key === "moisture" ? null : dryMatterPercent(value, moisture);
+        return `<li><strong>${label}</strong> (${qualifier}): ${formatPercent(value)}${
+          dm === null ? "" : ` · ${dm}% dry matter`
+        }</li>`;
+      }).join("")
+    : "";
+  const dmProtein = product ? dryMatterPercent(analysisValue(product, "crude_protein"), moisture) : null;
+  const recipeSection = product
+    ? `
+        <section>
+          <h3>This recipe</h3>
+          <p class="brand">${escapeHtml(product.brand)} — ${escapeHtml(product.name)}</p>
+          <ul>${rows}</ul>
+          ${dmProtein === null ? "" : `<p>On a dry-matter basis that is <strong>${dmProtein}%</strong> protein: ${proteinBandLabel(dmProtein)}.</p>`}
+        </section>`
+    : "";
 
   const overlay = create("div", { className: "compare-popup protein-info-popup" });
   overlay.innerHTML = `
     <div class="popup-content">
       <button class="popup-close-icon" type="button" aria-label="Close">&times;</button>
       <h2>Protein %</h2>
-      <div class="protein-info-body">
+      <div class="protein-info-body">${recipeSection}
         <section>
           <h3>Quick summary</h3>
           <p><strong>Label crude protein (as-fed)</strong>: shows how much, not where it comes from.</p>
@@ -605,6 +1543,7 @@ const openProteinInfoPopup = () => {
             <li>Typical dry kibble: ~24–32%</li>
             <li>Higher-protein kibble: ~34–40%</li>
             <li>Fresh/wet foods read lower as-fed (more water)</li>
+            <li>Dry matter = as-fed % ÷ (100 − moisture %) × 100, which lets wet and dry foods be compared</li>
           </ul>
         </section>
         <section>
@@ -622,13 +1561,11 @@ const openProteinInfoPopup = () => {
     </div>
   `;
 
-  document.body.append(overlay);
-  overlay.querySelector(".popup-close-icon")?.addEventListener("click", () => overlay.remove());
-  overlay.addEventListener("click", (event) => event.target === overlay && overlay.remove());
+  showPopup(overlay, owner);
 };
 
-const openGrainsInfoPopup = () => {
-  removeExistingPopups();
+const openGrainsInfoPopup = ({ owner } = {}) => {
+  removeExistingPopups(owner);
 
   const overlay = create("div", { className: "compare-popup grains-info-popup" });
   overlay.innerHTML = `
@@ -644,6 +1581,10 @@ const openGrainsInfoPopup = () => {
           <h3>Why it matters</h3>
           <p>Many dogs do fine with grains; a minority have grain sensitivities. “Grain-free” often swaps grains for <strong>legumes or potatoes</strong>&mdash;read labels closely.</p>
         </section>
+        <section>
+          <h3>Searching by category</h3>
+          <p>Type <code>-legumes</code> or <code>-potatoes</code> to drop every pea, lentil, chickpea or potato ingredient at once, e.g. <code>grain-free -legumes</code>. <code>by_products</code>, <code>artificial_preservatives</code> and <code>artificial_colors</code> work the same way, and <code>category:grain</code> or <code>category:vitamin</code> search any ingredient category.</p>
+        </section>
         <section>
           <h3>Learn more</h3>
           <ul class="grains-info-links">
@@ -655,12 +1596,691 @@ const openGrainsInfoPopup = () => {
     </div>
   `;
 
-  document.body.append(overlay);
-  overlay.querySelector(".popup-close-icon")?.addEventListener("click", () => overlay.remove());
-  overlay.addEventListener("click", (event) => event.target === overlay && overlay.remove());
+  showPopup(overlay, owner);
+};
+
+const openPurityInfoPopup = (product, result, { owner } = {}) => {
+  removeExistingPopups(owner);
+
+  const tierInfo = PURITY_TIERS[result.tier] || PURITY_TIERS.none;
+  const sources = [...proteinSourcesByBase(product.protein_sources).entries()]
+    .map(
+      ([base, forms]) => `<li><strong>${escapeHtml(humanizeSlug(base))}</strong> — ${escapeHtml([...forms].join(", "))}</li>`
+    )
+    .join("");
+
+  const overlay = create("div", { className: "compare-popup purity-info-popup" });
+  overlay.innerHTML = `
+    <div class="popup-content">
+      <button class="popup-close-icon" type="button" aria-label="Close">&times;</button>
+      <h2>Protein purity</h2>
+      <p class="brand">${escapeHtml(product.brand)} — ${escapeHtml(product.name)}</p>
+      <div class="purity-info-body">
+        <section>
+          <h3>This recipe: ${tierInfo.label} (${result.purity}%)</h3>
+          ${sources ? `<ul>${sources}</ul>` : "<p>No protein sources listed.</p>"}
+        </section>
+        <section>
+          <h3>How tiers work</h3>
+          <ul>
+            <li><strong>Single protein (100%)</strong>: one animal, whole meat only</li>
+            <li><strong>Single + meal (93%)</strong>: one animal, whole meat and/or its meal</li>
+            <li><strong>Single + fat (85%)</strong>: one main animal plus its fat/organs, or another animal’s fat/oil only</li>
+            <li><strong>Mixed (75%)</strong>: two or more animals contribute meat, meal or organs</li>
+          </ul>
+        </section>
+        <section>
+          <h3>Searching by purity</h3>
+          <p>Type <code>single-protein</code> to keep single + meal recipes, or <code>purity:pure</code>, <code>purity:meal</code>, <code>purity:fat</code>, <code>purity:mixed</code> for one tier. Prefix with <code>-</code> to hide a tier.</p>
+        </section>
+      </div>
+    </div>
+  `;
+
+  showPopup(overlay, owner);
+};
+
+/* ========= comparison table ========= */
+const humanizeSlug = (slug) => String(slug || "").replace(/_/g, " ");
+
+const comparisonRows = [
+  { label: "Brand", value: (product) => product.brand || "—" },
+  { label: "Life stage", value: (product) => product.life_stage || "—" },
+  { label: "Source", value: (product) => product.catalog_source || "—" },
+  { label: "Grains", value: (product) => yesNoLabel(product.contains_grain) },
+  {
+    label: "Protein sources",
+    value: (product) => (product.protein_sources || []).map(humanizeSlug).join(", ") || "—",
+  },
+  {
+    label: "Purity",
+    value: (product) => {
+      const { tier, percent } = evaluateProteinPurity(product.protein_sources);
+      return `${(PURITY_TIERS[tier] || PURITY_TIERS.none).label} (${percent}%)`;
+    },
+  },
+  ...ANALYSIS_FIELDS.map(({ key, label, qualifier }) => ({
+    label: `${label} (${qualifier})`,
+    value: (product) => formatPercent(analysisValue(product, key)),
+  })),
+  {
+    label: "kcal",
+    value: (product) =>
+      `${formatKcal(analysisValue(product, "kcal_per_cup"))}/cup · ${formatKcal(analysisValue(product, "kcal_per_kg"))}/kg`,
+  },
+];
+
+const COMPARISON_LEGEND =
+  '<p class="comparison-legend"><span class="is-shared">in every product</span>' +
+  '<span class="is-unique">only in one product</span></p>';
+
+/* the popup and the print view share this; without onUnpin there are no Unpin buttons */
+const makeComparisonTable = (pinned, { onUnpin } = {}) => {
+  const lists = pinned.map(labelIngredientTokens);
+  const presence = new Map();
+  lists.forEach((list) =>
+    new Set(list).forEach((slug) => presence.set(slug, (presence.get(slug) || 0) + 1))
+  );
+  const ingredientClass = (slug) =>
+    presence.get(slug) === pinned.length ? "is-shared" : presence.get(slug) === 1 ? "is-unique" : "";
+  const longest = Math.max(0, ...lists.map((list) => list.length));
+
+  const table = create("table", { className: "comparison-table" });
+  const head = create("thead");
+  const headRow = create("tr");
+  headRow.append(create("th", { scope: "col", textContent: "" }));
+  pinned.forEach((product) => {
+    const cell = create("th", { scope: "col" });
+    const img = create("img", { src: product.image || "", alt: "" });
+    const name = create("span", { className: "comparison-table__name", textContent: product.name });
+    cell.append(img, name);
+    if (typeof onUnpin === "function") {
+      const unpin = create("button", { type: "button", className: "comparison-table__unpin", textContent: "Unpin" });
+      unpin.addEventListener("click", () => onUnpin(product));
+      cell.append(unpin);
+    }
+    headRow.append(cell);
+  });
+  head.append(headRow);
+
+  const body = create("tbody");
+  comparisonRows.forEach(({ label, value }) => {
+    const row = create("tr");
+    row.append(create("th", { scope: "row", textContent: label }));
+    pinned.forEach((product) => row.append(create("td", { textContent: value(product) })));
+    body.append(row);
+  });
+
+  for (let position = 0; position < longest; position += 1) {
+    const row = create("tr", { className: "comparison-table__ingredient-row" });
+    row.append(create("th", { scope: "row", textContent: position === 0 ? "Ingredients #1" : `#${position + 1}` }));
+    lists.forEach((list) => {
+      const slug = list[position];
+      const cell = create("td", { textContent: slug ? humanizeSlug(slug) : "" });
+      const marker = slug ? ingredientClass(slug) : "";
+      if (marker) cell.classList.add(marker);
+      row.append(cell);
+    });
+    body.append(row);
+  }
+
+  table.append(head, body);
+  const scroller = create("div", { className: "comparison-table__scroller" });
+  scroller.append(table);
+  return scroller;
+};
+
+const openComparisonPopup = (pinned, { onUnpin, owner } = {}) => {
+  removeExistingPopups(owner);
+
+  const overlay = create("div", { className: "compare-popup comparison-popup" });
+  const content = create("div", { className: "popup-content" });
+  content.innerHTML = `
+    <button class="popup-close-icon" type="button" aria-label="Close">&times;</button>
+    <h2>Side-by-side comparison</h2>
+    ${COMPARISON_LEGEND}
+  `;
+  content.append(makeComparisonTable(pinned, { onUnpin }));
+  overlay.append(content);
+
+  showPopup(overlay, owner);
+};
+
+/* ========= similar products ========= */
+const SIMILAR_LIMIT = 6;
+const SIMILARITY_WEIGHTS = { ingredients: 0.5, proteins: 0.3, grains: 0.1, stage: 0.1 };
+
+/* canonical ingredient -> weight of its earliest position (1 for the first ingredient, falling off linearly) */
+const ingredientWeights = (product) => {
+  const ordered = orderedIngredientTokens(product);
+  const weights = new Map();
+  ordered.forEach((slug, index) => {
+    const key = lookupIngredient(slug)?.canonical || slug;
+    if (!weights.has(key)) weights.set(key, 1 - index / ordered.length);
+  });
+  return weights;
+};
+
+const proteinBases = (product) =>
+  new Set(
+    (product.protein_sources || [])
+      .map(parseProteinSource)
+      .filter(Boolean)
+      .map(({ base }) => base)
+  );
+
+const compareSimilarity = (target, candidate) => {
+  const targetWeights = ingredientWeights(target);
+  const candidateWeights = ingredientWeights(candidate);
+  const keys = new Set([...targetWeights.keys(), ...candidateWeights.keys()]);
+  let shared = 0;
+  let union = 0;
+  keys.forEach((key) => {
+    const a = targetWeights.get(key) || 0;
+    const b = candidateWeights.get(key) || 0;
+    shared += Math.min(a, b);
+    union += Math.max(a, b);
+  });
+  const ingredients = union ? shared / union : 0;
+  const sharedIngredients = [...targetWeights.keys()]
+    .filter((key) => candidateWeights.has(key))
+    .sort((a, b) => targetWeights.get(b) - targetWeights.get(a));
+
+  const targetProteins = proteinBases(target);
+  const candidateProteins = proteinBases(candidate);
+  const sharedProteins = [...targetProteins].filter((base) => candidateProteins.has(base));
+  const newProteins = [...candidateProteins].filter((base) => !targetProteins.has(base));
+  const proteinUnion = new Set([...targetProteins, ...candidateProteins]).size;
+  const proteins = proteinUnion ? sharedProteins.length / proteinUnion : 0;
+
+  const grains = target.contains_grain === candidate.contains_grain ? 1 : 0;
+  const allStages = /all/i;
+  const stage =
+    target.life_stage === candidate.life_stage
+      ? 1
+      : allStages.test(target.life_stage || "") || allStages.test(candidate.life_stage || "")
+      ? 0.5
+      : 0;
+
+  const score =
+    SIMILARITY_WEIGHTS.ingredients * ingredients +
+    SIMILARITY_WEIGHTS.proteins * proteins +
+    SIMILARITY_WEIGHTS.grains * grains +
+    SIMILARITY_WEIGHTS.stage * stage;
+
+  const reasons = [];
+  if (sharedIngredients.length) {
+    const leading = sharedIngredients.slice(0, 3).map(humanizeSlug).join(", ");
+    reasons.push(`Shares ${sharedIngredients.length} ingredients, led by ${leading}`);
+  }
+  if (sharedProteins.length) reasons.push(`Same proteins: ${sharedProteins.map(humanizeSlug).join(", ")}`);
+  if (newProteins.length) reasons.push(`Adds proteins: ${newProteins.map(humanizeSlug).join(", ")}`);
+  if (grains) {
+    reasons.push(candidate.contains_grain ? "Also contains grain" : "Also grain-free");
+  } else {
+    reasons.push(candidate.contains_grain ? "Contains grain (yours is grain-free)" : "Grain-free (yours has grain)");
+  }
+  if (stage === 1) reasons.push(`Same life stage (${candidate.life_stage})`);
+  else if (stage) reasons.push(`Life stage: ${candidate.life_stage}`);
+
+  return { score: Math.round(score * 100), reasons };
+};
+
+/* every other product that survives `excludes`/`filters`, most similar first */
+const findSimilarProducts = (target, products, { excludes = new Set(), filters = {} } = {}) =>
+  products
+    .filter((product) => product.id !== target.id)
+    .filter((product) => computeMatch(product, [], excludes, filters).show !== false)
+    .map((product) => ({ product, ...compareSimilarity(target, product) }))
+    .sort((a, b) => b.score - a.score || a.product.name.localeCompare(b.product.name))
+    .slice(0, SIMILAR_LIMIT);
+
+/* "chicken pea" or "chicken OR pea" -> hide anything matching either; a term typed with "-" counts the same */
+const withoutFilters = (text, synonyms) => {
+  const { expression, error } = parseQuery(text, { synonyms });
+  if (error) return { error, negated: [] };
+  const nodes = !expression ? [] : expression.type === "and" && !expression.strict ? expression.children : [expression];
+  return { error: null, negated: nodes.map((node) => (node.type === "not" ? node.child : node)) };
+};
+
+const openSimilarPopup = (
+  target,
+  products,
+  { excludes = new Set(), excludeLabels = new Map(), synonyms = {}, owner } = {}
+) => {
+  removeExistingPopups(owner);
+
+  const avoiding = [...new Set(excludeLabels.values())];
+  const overlay = create("div", { className: "compare-popup similar-popup" });
+  const content = create("div", { className: "popup-content" });
+  content.innerHTML = `
+    <button class="popup-close-icon" type="button" aria-label="Close">&times;</button>
+    <h2>Similar to ${escapeHtml(target.name)}</h2>
+    <p class="brand">${escapeHtml(target.brand)}</p>
+    <label class="similar-popup__without">
+      Without
+      <input type="text" placeholder="e.g., chicken pea" autocomplete="off" />
+    </label>
+    ${avoiding.length ? `<p class="compare-muted">Also avoiding: ${escapeHtml(avoiding.join(", "))}</p>` : ""}
+  `;
+  const list = create("ol", { className: "similar-list" });
+  content.append(list);
+  overlay.append(content);
+
+  const renderList = (text) => {
+    list.innerHTML = "";
+    const without = withoutFilters(text, synonyms);
+    if (without.error) {
+      list.append(create("li", { className: "compare-muted", textContent: without.error.message }));
+      return;
+    }
+    const matches = findSimilarProducts(target, products, { excludes, filters: { negated: without.negated } });
+    if (!matches.length) {
+      list.append(create("li", { className: "compare-muted", textContent: "No alternatives left." }));
+      return;
+    }
+    matches.forEach(({ product, score, reasons }) => {
+      const item = create("li", { className: "similar-list__item" });
+      const heading = create("div", { className: "similar-list__heading" });
+      heading.append(
+        create("span", { className: "similar-list__name", textContent: `${product.brand} — ${product.name}` }),
+        create("span", { className: "similar-list__score", textContent: `${score}% similar` })
+      );
+      const why = create("ul", { className: "similar-list__reasons" });
+      reasons.forEach((reason) => why.append(create("li", { textContent: reason })));
+      item.append(heading, why);
+      list.append(item);
+    });
+  };
+
+  const input = content.querySelector(".similar-popup__without input");
+  input?.addEventListener("input", () => renderList(input.value));
+  renderList("");
+
+  showPopup(overlay, owner);
+};
+
+/* ========= transition planner ========= */
+const TRANSITION_DAYS = [7, 8, 9, 10];
+const TRANSITION_STEPS = [25, 50, 75];
+
+/* 25% → 50% → 75% new food, spread over all but the last day, then 100% */
+const transitionSchedule = (days) => {
+  const mixingDays = days - 1;
+  const schedule = [];
+  TRANSITION_STEPS.forEach((percent, step) => {
+    const length =
+      Math.floor(mixingDays / TRANSITION_STEPS.length) + (step < mixingDays % TRANSITION_STEPS.length ? 1 : 0);
+    for (let day = 0; day < length; day += 1) schedule.push(percent);
+  });
+  schedule.push(100);
+  return schedule.map((percent, index) => ({ day: index + 1, current: 100 - percent, target: percent }));
+};
+
+/* ingredients compare by canonical name so "deboned_chicken" and "chicken" count as the same thing */
+const transitionDiff = (current, target) => {
+  const canonicalList = (product) => [
+    ...new Set(orderedIngredientTokens(product).map((slug) => lookupIngredient(slug)?.canonical || slug)),
+  ];
+  const currentIngredients = canonicalList(current);
+  const targetIngredients = canonicalList(target);
+  const currentProteins = proteinBases(current);
+  return {
+    introduced: targetIngredients.filter((slug) => !currentIngredients.includes(slug)),
+    dropped: currentIngredients.filter((slug) => !targetIngredients.includes(slug)),
+    shared: targetIngredients.filter((slug) => currentIngredients.includes(slug)),
+    newProteins: [...proteinBases(target)].filter((base) => !currentProteins.has(base)),
+  };
+};
+
+const openTransitionPopup = (products, { currentId, targetId, owner } = {}) => {
+  removeExistingPopups(owner);
+
+  const sorted = [...products].sort((a, b) => a.name.localeCompare(b.name));
+  const options = (selectedId) =>
+    sorted
+      .map(
+        (product) =>
+          `<option value="${escapeHtml(product.id)}"${product.id === selectedId ? " selected" : ""}>${escapeHtml(
+            product.brand
+          )} — ${escapeHtml(product.name)}</option>`
+      )
+      .join("");
+
+  const overlay = create("div", { className: "compare-popup transition-popup" });
+  const content = create("div", { className: "popup-content" });
+  content.innerHTML = `
+    <button class="popup-close-icon" type="button" aria-label="Close">&times;</button>
+    <h2>Transition planner</h2>
+    <div class="transition-popup__controls">
+      <label>Current food <select data-transition-current>${options(currentId)}</select></label>
+      <label>New food <select data-transition-target>${options(targetId)}</select></label>
+      <label>Days
+        <select data-transition-days>${TRANSITION_DAYS.map((days) => `<option value="${days}">${days}</option>`).join("")}</select>
+      </label>
+    </div>
+    <div class="transition-popup__body"></div>
+  `;
+  overlay.append(content);
+
+  const currentSelect = content.querySelector("[data-transition-current]");
+  const targetSelect = content.querySelector("[data-transition-target]");
+  const daysSelect = content.querySelector("[data-transition-days]");
+  const body = content.querySelector(".transition-popup__body");
+
+  const renderPlan = () => {
+    const current = products.find((product) => product.id === currentSelect.value);
+    const target = products.find((product) => product.id === targetSelect.value);
+    if (!current || !target || current.id === target.id) {
+      body.innerHTML = '<p class="compare-muted">Pick two different foods.</p>';
+      return;
+    }
+
+    const schedule = transitionSchedule(Number(daysSelect.value));
+    const { introduced, dropped, shared, newProteins } = transitionDiff(current, target);
+    const list = (slugs) =>
+      slugs.length ? slugs.map((slug) => `<li>${escapeHtml(humanizeSlug(slug))}</li>`).join("") : "<li>—</li>";
+
+    body.innerHTML = `
+      ${
+        newProteins.length
+          ? `<p class="transition-popup__alert"><strong>New proteins:</strong> ${escapeHtml(
+              newProteins.map(humanizeSlug).join(", ")
+            )}. If your dog has never eaten these, go slowly and watch for itching, vomiting or loose stools.</p>`
+          : '<p class="compare-muted">No new protein sources — every protein in the new food is already in the current one.</p>'
+      }
+      <section>
+        <h3>Mixing schedule</h3>
+        <table class="transition-table">
+          <thead><tr><th scope="col">Day</th><th scope="col">Current food</th><th scope="col">New food</th></tr></thead>
+          <tbody>
+            ${schedule
+              .map(
+                ({ day, current: oldShare, target: newShare }) =>
+                  `<tr><th scope="row">${day}</th><td>${oldShare}%</td><td>${newShare}%</td></tr>`
+              )
+              .join("")}
+          </tbody>
+        </table>
+      </section>
+      <section class="transition-popup__diff">
+        <div>
+          <h3>Introduced (${introduced.length})</h3>
+          <ul>${list(introduced)}</ul>
+        </div>
+        <div>
+          <h3>Dropped (${dropped.length})</h3>
+          <ul>${list(dropped)}</ul>
+        </div>
+      </section>
+      <p class="compare-muted">${shared.length} ingredients stay the same. Ask your vet before switching if your dog has a diagnosed allergy or a sensitive stomach.</p>
+    `;
+  };
+
+  [currentSelect, targetSelect, daysSelect].forEach((select) => select?.addEventListener("change", renderPlan));
+  renderPlan();
+
+  showPopup(overlay, owner);
+};
+
+/* ========= sort modes ========= */
+const byName = (a, b) => a.product.name.localeCompare(b.product.name);
+const byMatch = (a, b) => b.result.sortScore - a.result.sortScore || b.result.purity - a.result.purity;
+
+/* dry-matter protein so wet and dry foods sort on the same footing; unknowns sort last */
+const proteinSortValue = (product) =>
+  dryMatterPercent(analysisValue(product, "crude_protein"), analysisValue(product, "moisture")) ?? -1;
+
+const SORT_MODES = {
+  match: { label: "Best match", compare: (a, b) => byMatch(a, b) || byName(a, b) },
+  purity: {
+    label: "Purity tier",
+    compare: (a, b) => b.result.purity - a.result.purity || byMatch(a, b) || byName(a, b),
+  },
+  protein: {
+    label: "Protein % (dry matter)",
+    compare: (a, b) => proteinSortValue(b.product) - proteinSortValue(a.product) || byName(a, b),
+  },
+  brand: {
+    label: "Brand A–Z",
+    compare: (a, b) => String(a.product.brand || "").localeCompare(String(b.product.brand || "")) || byName(a, b),
+  },
+  ingredients: {
+    label: "Fewest ingredients",
+    compare: (a, b) =>
+      labelIngredientTokens(a.product).length - labelIngredientTokens(b.product).length || byName(a, b),
+  },
+};
+const DEFAULT_SORT_MODE = "match";
+
+/* ========= facets ========= */
+const primaryProtein = (product) => {
+  const parsed = parseProteinSource((product.protein_sources || [])[0]);
+  return parsed ? humanizeSlug(parsed.base) : "";
+};
+
+const FACETS = [
+  { key: "brand", label: "Brand", value: (product) => product.brand || "" },
+  { key: "stage", label: "Life stage", value: (product) => product.life_stage || "" },
+  {
+    key: "grains",
+    label: "Grains",
+    value: (product) =>
+      product.contains_grain === true ? "With grains" : product.contains_grain === false ? "Grain-free" : "",
+  },
+  { key: "protein", label: "Primary protein", value: primaryProtein },
+];
+
+/* values within a facet are OR-ed, facets are AND-ed; `skipKey` lets a facet count its own options */
+const passesFacets = (product, selections, skipKey = null) =>
+  FACETS.every(({ key, value }) => {
+    const selected = selections[key];
+    return key === skipKey || !selected || !selected.size || selected.has(value(product));
+  });
+
+const facetCounts = (entries, selections) =>
+  FACETS.map((facet) => {
+    const counts = new Map();
+    entries
+      .filter(({ product }) => passesFacets(product, selections, facet.key))
+      .forEach(({ product }) => {
+        const value = facet.value(product);
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    (selections[facet.key] || []).forEach((value) => {
+      if (!counts.has(value)) counts.set(value, 0);
+    });
+    return { ...facet, counts: [...counts.entries()].sort((a, b) => a[0].localeCompare(b[0])) };
+  });
+
+const facetLabels = (selections) =>
+  FACETS.filter(({ key }) => selections[key]?.size).map(
+    ({ key, label }) => `${label}: ${[...selections[key]].join(" or ")}`
+  );
+
+/* ========= autocomplete & did-you-mean ========= */
+const SUGGESTION_LIMIT = 8;
+const MIN_SUGGEST_LENGTH = 2;
+/* bookkeeping tokens from productTokenSet that nobody types */
+const HIDDEN_VOCABULARY = new Set(["has_protein", "no_protein"]);
+
+/* term -> number of products carrying it, plus the category keywords */
+const buildVocabulary = (products) => {
+  const tokenSets = products.map(productTokenSet);
+  const vocabulary = new Map();
+  tokenSets.forEach((tokens) =>
+    tokens.forEach((token) => {
+      if (HIDDEN_VOCABULARY.has(token) || /^\d+$/.test(splitScopedToken(token).value)) return;
+      vocabulary.set(token, (vocabulary.get(token) || 0) + 1);
+    })
+  );
+  Object.entries(CATEGORY_KEYWORDS).forEach(([keyword, definition]) => {
+    const slugs = categoryKeywordSlugs(definition);
+    const count = tokenSets.filter((tokens) => slugs.some((slug) => tokens.has(slug))).length;
+    if (count) vocabulary.set(keyword, count);
+  });
+  return vocabulary;
+};
+
+/* phrase synonyms are typed as two words; everything else keeps its underscores */
+const suggestionText = (term) => (PHRASE_SYNONYM_OVERRIDES.has(term) ? term.replace(/_/g, " ") : term);
+
+/* suggestions for the word at the end of `text`, keeping any -, scope: prefix */
+const suggestionsFor = (text, vocabulary) => {
+  const match = /(^|[\s("])(-?)(?:([a-z_]+):)?([^\s:()"]*)$/i.exec(text);
+  if (!match) return [];
+  const [, , exclude, scopeRaw, partialRaw] = match;
+  const partial = normalizeToken(partialRaw);
+  if (partial.length < MIN_SUGGEST_LENGTH) return [];
+  const field = scopeRaw ? FIELD_SCOPES[normalizeToken(scopeRaw)] : "";
+  if (scopeRaw && !field) return [];
+
+  const wordStart = match.index + match[1].length;
+  const valueStart = wordStart + exclude.length + (scopeRaw ? scopeRaw.length + 1 : 0);
+  const suggestions = [];
+  const seen = new Set();
+  const add = (term, from, count) => {
+    const insert = suggestionText(term);
+    if (seen.has(insert)) return;
+    seen.add(insert);
+    suggestions.push({ label: `${exclude}${scopeRaw ? `${scopeRaw}:` : ""}${insert}`, insert, from, count });
+  };
+
+  /* "no gr" -> "no grain", "without gr" -> "without grains" */
+  const previous = /(?:^|\s)(-?)(\S+)\s+$/.exec(text.slice(0, wordStart));
+  if (!field && previous && !exclude) {
+    const stem = `${normalizeToken(previous[2])}_${partial}`;
+    [...PHRASE_SYNONYM_OVERRIDES]
+      .filter((phrase) => phrase.startsWith(stem))
+      .forEach((phrase) =>
+        add(phrase, previous.index + previous[0].indexOf(previous[2]), vocabulary.get(phrase) || 0)
+      );
+  }
+
+  const candidates = [...vocabulary.entries()]
+    .map(([token, count]) => ({ ...splitScopedToken(token), count }))
+    .filter((entry) => entry.field === field && entry.value !== partial)
+    .map((entry) => ({
+      ...entry,
+      rank: entry.value.startsWith(partial) ? 0 : entry.value.includes(`_${partial}`) ? 1 : null,
+    }))
+    .filter((entry) => entry.rank !== null)
+    .sort((a, b) => a.rank - b.rank || b.count - a.count || a.value.length - b.value.length);
+  candidates.forEach(({ value, count }) => add(value, valueStart, count));
+
+  return suggestions.slice(0, SUGGESTION_LIMIT);
+};
+
+const editDistance = (a, b) => {
+  let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row.push(Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost));
+    }
+    previousRow = row;
+  }
+  return previousRow[b.length];
+};
+
+/* `synonyms` are the instance's extras, so a custom term is never "corrected" away */
+const isKnownTerm = (value, field, vocabulary, synonyms = {}) =>
+  simplePluralVariants(value).some((variant) => vocabulary.has(scopedToken(field, variant))) ||
+  Boolean(synonyms[value]) ||
+  (!field &&
+    (Boolean(lookupIngredient(value)) ||
+      Boolean(PURITY_QUERY_ALIASES[value]) ||
+      Boolean(categoryKeywordFor(value)) ||
+      GRAIN_WITH_TOKENS.has(value) ||
+      GRAIN_FREE_TOKENS.has(value)));
+
+const closestTerm = (value, field, vocabulary) => {
+  const maxDistance = value.length <= 4 ? 1 : 2;
+  let best = null;
+  vocabulary.forEach((count, token) => {
+    const entry = splitScopedToken(token);
+    if (entry.field !== field || Math.abs(entry.value.length - value.length) > maxDistance) return;
+    const distance = editDistance(value, entry.value);
+    if (distance > maxDistance) return;
+    if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+      best = { value: entry.value, distance, count };
+    }
+  });
+  return best ? best.value : null;
+};
+
+/* one query word with its scope: and @topN kept, or null when it is known or has no close match */
+const correctWord = (raw, vocabulary, synonyms = {}) => {
+  const match = /^(?:([a-z_]+):)?([^@:]+)(@top\d+)?$/i.exec(raw);
+  if (!match || parseRangeTerm(raw)) return null;
+  const [, scopeRaw, valueRaw, position = ""] = match;
+  const field = scopeRaw ? FIELD_SCOPES[normalizeToken(scopeRaw)] : "";
+  const value = normalizeToken(valueRaw);
+  if ((scopeRaw && !field) || value.length < 3 || isKnownTerm(value, field, vocabulary, synonyms)) return null;
+  const best = closestTerm(value, field, vocabulary);
+  return best ? `${scopeRaw ? `${scopeRaw}:` : ""}${suggestionText(best)}${position}` : null;
+};
+
+/* a corrected copy of the query, or null when every word is already known. Only the text of words and
+   quoted phrases is swapped, so parentheses, quotes, operators and - prefixes stay where they were */
+const correctQuery = (text, vocabulary, { synonyms = {} } = {}) => {
+  const source = String(text || "");
+  let tokens;
+  try {
+    tokens = tokenizeQuery(source);
+  } catch (error) {
+    return null;
+  }
+
+  /* words that pair into a phrase ("no grain", "single protein") are known together */
+  const pairs = (word, next) =>
+    word?.type === "word" && next?.type === "word" && !next.negate && Boolean(pairedPhrase(word.value, next.value));
+
+  const edits = [];
+  tokens.forEach((token, index) => {
+    const start = token.position + (token.negate ? 1 : 0);
+    if (token.type === "word") {
+      if (pairs(token, tokens[index + 1]) || pairs(tokens[index - 1], token)) return;
+      const corrected = correctWord(token.value, vocabulary, synonyms);
+      if (corrected) edits.push({ start, end: start + token.value.length, text: corrected });
+    } else if (token.type === "phrase") {
+      const phraseStart = start + 1;
+      const phrase = source.slice(phraseStart, source.indexOf('"', phraseStart));
+      const value = normalizeToken(phrase);
+      if (value.length < 3 || isKnownTerm(value, "", vocabulary, synonyms)) return;
+      const best = closestTerm(value, "", vocabulary);
+      if (best) edits.push({ start: phraseStart, end: phraseStart + phrase.length, text: best.replace(/_/g, " ") });
+    }
+  });
+  if (!edits.length) return null;
+
+  const corrected = edits
+    .reduceRight((result, { start, end, text: replacement }) => result.slice(0, start) + replacement + result.slice(end), source)
+    .trim();
+  /* never offer a suggestion that can't be searched */
+  try {
+    parseExpression(tokenizeQuery(corrected), { synonyms });
+  } catch (error) {
+    return null;
+  }
+  return corrected;
 };
 
 /* ========= render cards ========= */
+let tooltipCount = 0;
+
+/* tooltips are CSS-only and show on hover or keyboard focus (a badge button's own, the title's card's),
+   so they add no Tab stops; screen readers get the text as a description */
+const attachTooltip = (element, text, kind) => {
+  tooltipCount += 1;
+  const id = `compare-tooltip-${tooltipCount}`;
+  element.classList.add(`compare-has-${kind}-tooltip`);
+  element.dataset[`${kind}Tooltip`] = text;
+  element.append(create("span", { id, hidden: true, textContent: text }));
+  element.setAttribute("aria-describedby", id);
+};
+
 const makeBadge = (text, { tooltip, className = "", onClick } = {}) => {
   const tag = onClick ? "button" : "div";
   const options = {
@@ -669,10 +2289,7 @@ const makeBadge = (text, { tooltip, className = "", onClick } = {}) => {
   };
   if (onClick) options.type = "button";
   const badge = create(tag, options);
-  if (tooltip) {
-    badge.classList.add("compare-has-badge-tooltip");
-    badge.dataset.badgeTooltip = tooltip;
-  }
+  if (tooltip) attachTooltip(badge, tooltip, "badge");
   if (typeof onClick === "function") {
     badge.classList.add("is-clickable");
     badge.addEventListener("click", onClick);
@@ -680,8 +2297,73 @@ const makeBadge = (text, { tooltip, className = "", onClick } = {}) => {
   return badge;
 };
 
-const makeCard = (product, result, onRemove) => {
-  const card = create("article", { className: "compare-card" });
+const makeAnalysisList = (product) => {
+  const list = create("dl", { className: "compare-card__analysis" });
+  const moisture = analysisValue(product, "moisture");
+  const addRow = (label, value, title) => {
+    const term = create("dt", { textContent: label });
+    const detail = create("dd", { textContent: value });
+    if (title) detail.title = title;
+    list.append(term, detail);
+  };
+
+  ANALYSIS_FIELDS.forEach(({ key, label, qualifier }) => {
+    const value = analysisValue(product, key);
+    const dm = key === "moisture" ? null : dryMatterPercent(value, moisture);
+    addRow(label, `${formatPercent(value)}${dm === null ? "" : ` (${dm}% DM)`}`, `${qualifier}, as-fed`);
+  });
+
+  const perCup = analysisValue(product, "kcal_per_cup");
+  const perKg = analysisValue(product, "kcal_per_kg");
+  addRow("kcal", `${formatKcal(perCup)}/cup · ${formatKcal(perKg)}/kg`, "metabolizable energy, as-fed");
+  return list;
+};
+
+const TOP_INGREDIENT_COUNT = 5;
+
+const makeTopIngredientsList = (product, result) => {
+  const matched = new Set(result.matchedPositions || []);
+  const wrapper = create("div", { className: "compare-card__top-ingredients" });
+  wrapper.append(create("h3", { textContent: `First ${TOP_INGREDIENT_COUNT} ingredients` }));
+  const list = create("ol");
+  labelIngredientTokens(product)
+    .slice(0, TOP_INGREDIENT_COUNT)
+    .forEach((ingredient, index) => {
+      const item = create("li", { textContent: humanizeSlug(ingredient) });
+      if (matched.has(index)) {
+        item.classList.add("is-match");
+        item.title = `Matches your search at position ${index + 1}`;
+      }
+      list.append(item);
+    });
+  wrapper.append(list);
+  return wrapper;
+};
+
+const makeCard = (
+  product,
+  result,
+  onRemove,
+  {
+    pinned = false,
+    canPin = true,
+    onTogglePin,
+    onSimilar,
+    onCardClick,
+    favorite = false,
+    onToggleFavorite,
+    explain,
+    owner,
+  } = {}
+) => {
+  /* render makes one card the grid's Tab stop; arrow keys move between the rest */
+  const card = create("article", { className: "compare-card", tabIndex: -1 });
+  card.setAttribute("aria-label", `${product.brand || ""} ${product.name}`.trim());
+  /* buttons have their own actions; anything else, including the outbound links, counts as a card click */
+  card.addEventListener("click", (event) => {
+    if (event.target.closest("button")) return;
+    onCardClick?.(product, { href: event.target.closest("a")?.href || null });
+  });
 
   const removeButton = create("button", {
     className: "compare-card__remove",
@@ -695,7 +2377,16 @@ const makeCard = (product, result, onRemove) => {
     if (typeof onRemove === "function") onRemove(product);
   });
 
-  card.append(removeButton);
+  const favoriteButton = create("button", {
+    className: "compare-card__favorite",
+    type: "button",
+    textContent: favorite ? "★" : "☆",
+    ariaLabel: favorite ? "Remove from favorites" : "Add to favorites",
+  });
+  favoriteButton.setAttribute("aria-pressed", String(favorite));
+  favoriteButton.addEventListener("click", () => onToggleFavorite?.(product));
+
+  card.append(removeButton, favoriteButton);
 
   const header = create("div", { className: "compare-card__header" });
   const brandWrapper = create("div", { className: "compare-card__brand" });
@@ -709,8 +2400,7 @@ const makeCard = (product, result, onRemove) => {
   const title = create("div", { className: "compare-card__title" });
   const shortName = product.name.split(" ").slice(0, 3).join(" ");
   title.textContent = shortName;
-  title.classList.add("compare-has-title-tooltip");
-  title.dataset.titleTooltip = product.name;
+  attachTooltip(title, product.name, "title");
   header.append(brandWrapper, title);
 
   const content = create("div", { className: "compare-card__content" });
@@ -729,46 +2419,300 @@ const makeCard = (product, result, onRemove) => {
 
   const matchValue = Number.isFinite(result.match) ? Math.round(result.match) : result.match;
   const matchTooltip = "Compatibility based on include/exclude filters";
-  const matchBadge = makeBadge(`${matchValue}% Match`, {
-    tooltip: matchTooltip,
+  const matchBadge = makeBadge(result.neededGroups ? `${matchValue}% Match` : "— Match", {
+    tooltip: result.neededGroups ? matchTooltip : "Add ingredients to your search to score this product",
     className: "compare-badge--match",
-    onClick: openMatchInfoPopup,
+    onClick: () => openMatchInfoPopup(product, result, explain, { owner }),
   });
   if (result.tier) matchBadge.dataset.matchTier = result.tier;
 
-  const proteinTooltip = "Protein analysis (crude protein) reported by the manufacturer.";
-  const proteinBadge = makeBadge("Protein %", {
+  const proteinValue = analysisValue(product, "crude_protein");
+  const dmProtein = dryMatterPercent(proteinValue, analysisValue(product, "moisture"));
+  const proteinTooltip =
+    proteinValue === null
+      ? "Crude protein not reported by the manufacturer."
+      : `Crude protein (min, as-fed) reported by the manufacturer. ${dmProtein}% on a dry-matter basis.`;
+  const proteinBadge = makeBadge(proteinValue === null ? "Protein —" : `Protein ${proteinValue}%`, {
     tooltip: proteinTooltip,
     className: "compare-badge--protein",
-    onClick: openProteinInfoPopup,
+    onClick: () => openProteinInfoPopup(product, { owner }),
   });
   const grainsTooltip = "Grain content as reported by the manufacturer.";
   const grainsLabel = yesNoLabel(product.contains_grain);
   const grainsBadge = makeBadge(`Grains: ${grainsLabel}`, {
     tooltip: grainsLabel === "Yes" ? grainsTooltip : undefined,
-    onClick: openGrainsInfoPopup,
+    onClick: () => openGrainsInfoPopup({ owner }),
+  });
+
+  const tierInfo = PURITY_TIERS[result.tier] || PURITY_TIERS.none;
+  const purityBadge = makeBadge(`Purity: ${tierInfo.short}`, {
+    tooltip: `${tierInfo.label} (${result.purity}%), based on listed protein sources.`,
+    className: "compare-badge--purity",
+    onClick: () => openPurityInfoPopup(product, result, { owner }),
   });
+  purityBadge.dataset.purityTier = result.tier || "none";
 
-  badges.append(matchBadge, proteinBadge, grainsBadge);
+  badges.append(matchBadge, proteinBadge, grainsBadge, purityBadge);
   content.append(imageLink, badges);
 
+  const analysis = makeAnalysisList(product);
+
   const button = create("button", { className: "compare-ingredients-btn", textContent: "Ingredients" });
-  button.addEventListener("click", () => openIngredientsPopup(product));
+  button.addEventListener("click", () => openIngredientsPopup(product, { owner }));
+
+  const pinButton = create("button", {
+    className: "compare-pin-btn",
+    type: "button",
+    textContent: pinned ? "Pinned ✓" : "Compare",
+    disabled: !pinned && !canPin,
+    title: !pinned && !canPin ? `You can compare up to ${MAX_PINNED} products` : "",
+  });
+  pinButton.setAttribute("aria-pressed", String(pinned));
+  pinButton.addEventListener("click", () => typeof onTogglePin === "function" && onTogglePin(product));
+  if (pinned) card.classList.add("is-pinned");
+
+  const topIngredients = makeTopIngredientsList(product, result);
+
+  const similarButton = create("button", {
+    className: "compare-similar-btn",
+    type: "button",
+    textContent: "Similar",
+    title: "Find the closest alternatives to this product",
+  });
+  similarButton.addEventListener("click", () => typeof onSimilar === "function" && onSimilar(product));
 
-  card.append(header, content, button);
+  const actions = create("div", { className: "compare-card__actions" });
+  actions.append(button, pinButton, similarButton);
+
+  card.append(header, content, analysis, topIngredients, actions);
   return card;
 };
 
 /* ========= render main ========= */
-const renderMeta = (root, total, shown, labelIncludes, labelExcludes) => {
+/* arrow keys move focus between cards; up/down go to the nearest card in the next row of cards, so the
+   brand headings between groups (and a short last row in a group) don't throw the column off */
+const CARD_KEYS = ["ArrowRight", "ArrowLeft", "ArrowDown", "ArrowUp", "Home", "End"];
+
+const handleCardKeys = (event) => {
+  const card = event.target;
+  if (!card.classList?.contains("compare-card") || !CARD_KEYS.includes(event.key)) return;
+  event.preventDefault();
+  const cards = [...event.currentTarget.querySelectorAll(".compare-card")];
+  const index = cards.indexOf(card);
+  const rowTops = [...new Set(cards.map((item) => item.offsetTop))].sort((a, b) => a - b);
+  const row = rowTops.indexOf(card.offsetTop);
+  const nearestInRow = (top) =>
+    cards
+      .filter((item) => item.offsetTop === top)
+      .reduce(
+        (best, item) =>
+          !best || Math.abs(item.offsetLeft - card.offsetLeft) < Math.abs(best.offsetLeft - card.offsetLeft)
+            ? item
+            : best,
+        null
+      );
+  const targets = {
+    ArrowRight: () => cards[index + 1],
+    ArrowLeft: () => cards[index - 1],
+    ArrowDown: () => nearestInRow(rowTops[row + 1]),
+    ArrowUp: () => nearestInRow(rowTops[row - 1]),
+    Home: () => cards[0],
+    End: () => cards[cards.length - 1],
+  };
+  const next = targets[event.key]();
+  if (!next) return;
+  card.tabIndex = -1;
+  next.tabIndex = 0;
+  next.focus();
+};
+
+/* browse mode: with no include terms nothing can be ranked, so list every product that
+   survives the excludes and filters (the whole catalog for an empty query), by brand */
+const rankResults = (
+  products,
+  includeGroups,
+  excludes,
+  filters,
+  { removedProductIds = new Set(), sortMode = DEFAULT_SORT_MODE, facetSelections = {} } = {}
+) => {
+  const browsing = !includeGroups.length;
+  const evaluated = products.map((product) => ({
+    product,
+    result: computeMatch(product, includeGroups, excludes, filters),
+  }));
+
+  const effectiveSort = browsing && sortMode === "match" ? "brand" : sortMode;
+  const { compare } = SORT_MODES[effectiveSort] || SORT_MODES[DEFAULT_SORT_MODE];
+  const matches = evaluated.filter(({ result }) => result.show !== false).sort(compare);
+
+  const visibleMatches = matches.filter(({ product }) => !removedProductIds.has(product.id));
+  const faceted = visibleMatches.filter(({ product }) => passesFacets(product, facetSelections));
+  /* only the products a range hid from this list: removed or faceted-out ones wouldn't show anyway */
+  const unreported = evaluated.filter(
+    ({ product, result }) =>
+      result.unreported && !removedProductIds.has(product.id) && passesFacets(product, facetSelections)
+  ).length;
+  return { browsing, effectiveSort, evaluated, visibleMatches, faceted, unreported };
+};
+
+const renderMeta = (root, total, shown, labelIncludes, labelExcludes, labelFilters, labelAvoiding, unreported = 0) => {
   const countEl = root.querySelector("[data-compare-count]");
   if (countEl) countEl.textContent = total === 0 && shown === 0 ? "" : `${shown}/${total} shown`;
 
+  /* the live region only changes when the numbers do, so typing doesn't repeat the same announcement */
+  const statusEl = root.querySelector("[data-compare-status]");
+  const status = total
+    ? `${total} product${total === 1 ? "" : "s"} found, showing ${shown}.`
+    : "No matching products.";
+  if (statusEl && statusEl.textContent !== status) statusEl.textContent = status;
+
   const filtersEl = root.querySelector("[data-compare-filters]");
   if (!filtersEl) return;
   const includes = [...(labelIncludes || [])].join(", ");
   const excludesText = [...(labelExcludes || [])].join(", ");
-  filtersEl.textContent = includes || excludesText ? `includes: [${includes}]  excludes: [${excludesText}]` : "";
+  const filtersText = [...(labelFilters || [])].join(", ");
+  const parts = [];
+  if (includes || excludesText) parts.push(`includes: [${includes}]  excludes: [${excludesText}]`);
+  if (filtersText) parts.push(`filters: [${filtersText}]`);
+  if (unreported) parts.push(`${unreported} hidden: value not reported on the label`);
+  const avoidingText = [...(labelAvoiding || [])].join(", ");
+  if (avoidingText) parts.push(`avoiding: ${avoidingText}`);
+  filtersEl.textContent = parts.join("\n");
+};
+
+const renderHiddenNotice = (root, excluded, explain) => {
+  const button = root.querySelector("[data-compare-hidden]");
+  if (!button) return;
+  button.hidden = !excluded.length;
+  button.textContent = `${excluded.length} hidden by exclusions`;
+  button.onclick = () => openHiddenProductsPopup(excluded, explain, { owner: root });
+};
+
+/* skipped records and failed sources would otherwise just vanish from the catalog */
+const renderCatalogWarning = (container, skipped, failed = []) => {
+  if (!container) return;
+  container.hidden = !skipped.length && !failed.length;
+  container.innerHTML = "";
+  if (failed.length) {
+    container.append(
+      create("p", {
+        textContent: `Could not load ${failed.map(({ label }) => label).join(", ")}; showing the other sources only.`,
+      })
+    );
+  }
+  if (!skipped.length) return;
+  const summary = create("p", {
+    textContent: `${skipped.length} product${skipped.length === 1 ? " was" : "s were"} skipped because of catalog errors:`,
+  });
+  const list = create("ul");
+  skipped.forEach(({ index, record, issues, source }) => {
+    const errors = issues.filter((issue) => issue.severity === "error").map((issue) => issue.message);
+    const name = record?.name || record?.id || `Record #${index + 1}`;
+    list.append(create("li", { textContent: `${name}${source ? ` (${source})` : ""} — ${errors.join("; ")}` }));
+  });
+  container.append(summary, list);
+};
+
+const renderAllergenToggles = (root, activeIds, onToggle) => {
+  const container = root.querySelector("[data-compare-allergens]");
+  if (!container) return;
+  container.innerHTML = "";
+  container.append(create("span", { className: "compare-allergens__label", textContent: "Avoid:" }));
+  Object.entries(ALLERGEN_PROFILES).forEach(([id, profile]) => {
+    const active = activeIds.has(id);
+    const chip = create("button", {
+      type: "button",
+      className: "compare-allergens__chip",
+      textContent: profile.label,
+      title: `Hide anything containing ${profile.tokens.map(humanizeSlug).join(", ")}`,
+    });
+    chip.setAttribute("aria-pressed", String(active));
+    chip.addEventListener("click", () => onToggle(id));
+    container.append(chip);
+  });
+};
+
+const renderFacets = (root, groups, selections, onToggle, onClear) => {
+  const container = root.querySelector("[data-compare-facets]");
+  if (!container) return;
+  /* re-rendering replaces the checkboxes, so keep keyboard focus on the one that was toggled */
+  const focused = container.contains(document.activeElement) ? document.activeElement.dataset : null;
+  const focusKey = focused ? `${focused.facetKey}|${focused.facetValue}` : null;
+  container.innerHTML = "";
+  const visibleGroups = groups.filter(({ counts }) => counts.length);
+  container.hidden = !visibleGroups.length;
+  if (!visibleGroups.length) return;
+
+  let focusTarget = null;
+  visibleGroups.forEach(({ key, label, counts }) => {
+    const fieldset = create("fieldset", { className: "compare-facets__group" });
+    fieldset.append(create("legend", { textContent: label }));
+    counts.forEach(([value, count]) => {
+      const checkbox = create("input", { type: "checkbox", checked: Boolean(selections[key]?.has(value)) });
+      checkbox.dataset.facetKey = key;
+      checkbox.dataset.facetValue = value;
+      checkbox.addEventListener("change", () => onToggle(key, value));
+      const option = create("label", { className: "compare-facets__option" });
+      if (!count) option.classList.add("is-empty");
+      option.append(
+        checkbox,
+        create("span", { className: "compare-facets__value", textContent: value }),
+        create("span", { className: "compare-facets__count", textContent: String(count) })
+      );
+      fieldset.append(option);
+      if (focusKey === `${key}|${value}`) focusTarget = checkbox;
+    });
+    container.append(fieldset);
+  });
+
+  if (Object.values(selections).some((selected) => selected.size)) {
+    const clearBtn = create("button", {
+      type: "button",
+      className: "compare-facets__clear",
+      textContent: "Clear filters",
+    });
+    clearBtn.addEventListener("click", onClear);
+    container.append(clearBtn);
+  }
+  focusTarget?.focus();
+};
+
+/* "Show more" appends the next page; focus moves to the first new card so keyboard users keep their place */
+const renderPager = (root, { shown, total, pageSize, onShowMore }) => {
+  const pager = root.querySelector("[data-compare-pager]");
+  if (!pager) return;
+  pager.innerHTML = "";
+  const remaining = total - shown;
+  if (remaining <= 0) return;
+
+  const showMore = (count) => {
+    onShowMore?.(count);
+    const firstNew = root.querySelectorAll("[data-compare-results] .compare-card")[shown];
+    if (firstNew) {
+      root.querySelectorAll("[data-compare-results] .compare-card").forEach((card) => (card.tabIndex = -1));
+      firstNew.tabIndex = 0;
+      firstNew.focus();
+    }
+  };
+
+  const nextCount = Math.min(pageSize, remaining);
+  const moreBtn = create("button", {
+    type: "button",
+    className: "compare-pager__btn",
+    textContent: `Show ${nextCount} more`,
+  });
+  moreBtn.addEventListener("click", () => showMore(nextCount));
+  pager.append(moreBtn);
+
+  if (remaining > nextCount) {
+    const allBtn = create("button", {
+      type: "button",
+      className: "compare-pager__btn compare-pager__btn--all",
+      textContent: `Show all ${total}`,
+    });
+    allBtn.addEventListener("click", () => showMore(remaining));
+    pager.append(allBtn);
+  }
 };
 
 const render = (
@@ -778,62 +2722,850 @@ const render = (
   excludes,
   labelIncludes,
   labelExcludes,
-  { removedProductIds = new Set(), onRemove } = {}
+  {
+    removedProductIds = new Set(),
+    onRemove,
+    filters = {},
+    labelFilters = new Set(),
+    labelAvoiding = [],
+    pinnedProductIds = new Set(),
+    onTogglePin,
+    onSimilar,
+    onCardClick,
+    favoriteIds = new Set(),
+    onToggleFavorite,
+    explain = {},
+    visibleCount = DEFAULT_PAGE_SIZE,
+    pageSize = DEFAULT_PAGE_SIZE,
+    onShowMore,
+    sortMode = DEFAULT_SORT_MODE,
+    facetSelections = {},
+    onToggleFacet,
+    onClearFacets,
+    didYouMean = null,
+    onDidYouMean,
+    queryError = null,
+  } = {}
 ) => {
   const container = root.querySelector("[data-compare-results]");
   if (!container) return;
   container.innerHTML = "";
 
-  const hasQuery = includeGroups.length || excludes.size;
-  if (!hasQuery) {
-    container.innerHTML = '<p class="compare-muted compare-instructions">Start typing to see matches.</p>';
-    renderMeta(root, 0, 0, labelIncludes, labelExcludes);
+  if (queryError) {
+    const where = queryError.position === null ? "" : ` (at character ${queryError.position + 1})`;
+    const message = create("p", {
+      className: "compare-query-error",
+      textContent: `Can't read this search: ${queryError.message}${where}`,
+    });
+    message.setAttribute("role", "alert");
+    container.append(message);
+    renderMeta(root, 0, 0, [], [], [], labelAvoiding);
+    renderHiddenNotice(root, [], explain);
+    renderPager(root, { shown: 0, total: 0, pageSize, onShowMore });
+    renderFacets(root, [], facetSelections, onToggleFacet, onClearFacets);
     return;
   }
 
-  const matches = products
-    .map((product) => ({ product, result: computeMatch(product, includeGroups, excludes) }))
-    .filter(({ result }) => result.show !== false)
-    .sort(
-      (a, b) =>
-        b.result.sortScore - a.result.sortScore ||
-        a.product.name.localeCompare(b.product.name)
-    );
-
-  const visibleMatches = matches.filter(({ product }) => !removedProductIds.has(product.id));
-
-  const limited = visibleMatches.slice(0, 6);
-
-  renderMeta(root, visibleMatches.length, limited.length, labelIncludes, labelExcludes);
+  const hasQuery = includeGroups.length || excludes.size || labelFilters.size;
+  const { browsing, effectiveSort, evaluated, visibleMatches, faceted, unreported } = rankResults(
+    products,
+    includeGroups,
+    excludes,
+    filters,
+    { removedProductIds, sortMode, facetSelections }
+  );
+  renderHiddenNotice(
+    root,
+    evaluated.filter(({ result }) => result.hiddenBy === "exclude"),
+    explain
+  );
+  renderFacets(root, facetCounts(visibleMatches, facetSelections), facetSelections, onToggleFacet, onClearFacets);
+
+  const limited = faceted.slice(0, visibleCount);
+
+  renderMeta(
+    root,
+    faceted.length,
+    limited.length,
+    labelIncludes,
+    labelExcludes,
+    new Set([...labelFilters, ...facetLabels(facetSelections)]),
+    labelAvoiding,
+    unreported
+  );
+  renderPager(root, { shown: limited.length, total: faceted.length, pageSize, onShowMore });
 
   if (!limited.length) {
     container.innerHTML = '<p class="compare-muted">No matches found.</p>';
+    if (didYouMean) {
+      const hint = create("p", { className: "compare-muted compare-did-you-mean", textContent: "Did you mean " });
+      const suggestionBtn = create("button", {
+        type: "button",
+        className: "compare-did-you-mean__btn",
+        textContent: didYouMean,
+      });
+      suggestionBtn.addEventListener("click", () => onDidYouMean?.(didYouMean));
+      hint.append(suggestionBtn, "?");
+      container.append(hint);
+    }
     return;
   }
 
-  limited.forEach(({ product, result }) =>
-    container.append(makeCard(product, result, onRemove))
-  );
+  if (browsing) {
+    container.append(
+      create("p", {
+        className: "compare-muted compare-instructions compare-results__hint",
+        textContent: hasQuery
+          ? "Showing every product that passes your exclusions and filters. Add ingredients to rank them."
+          : "Browsing all products. Type ingredients to rank them, or narrow by brand and life stage.",
+      })
+    );
+  }
+
+  /* brand headings whenever the list runs in brand order */
+  const brandCounts = new Map();
+  if (effectiveSort === "brand") {
+    faceted.forEach(({ product }) => brandCounts.set(product.brand, (brandCounts.get(product.brand) || 0) + 1));
+  }
+  let currentBrand = null;
+
+  limited.forEach(({ product, result }) => {
+    if (brandCounts.size && product.brand !== currentBrand) {
+      currentBrand = product.brand;
+      const heading = create("h2", { className: "compare-results__group", textContent: product.brand || "—" });
+      heading.append(
+        create("span", {
+          className: "compare-results__group-count",
+          textContent: ` ${brandCounts.get(product.brand)}`,
+        })
+      );
+      container.append(heading);
+    }
+    container.append(
+      makeCard(product, result, onRemove, {
+        pinned: pinnedProductIds.has(product.id),
+        canPin: pinnedProductIds.size < MAX_PINNED,
+        onTogglePin,
+        onSimilar,
+        onCardClick,
+        favorite: favoriteIds.has(product.id),
+        onToggleFavorite,
+        explain,
+        owner: root,
+      })
+    );
+  });
+  const firstCard = container.querySelector(".compare-card");
+  if (firstCard) firstCard.tabIndex = 0;
 };
 
-/* ========= init ========= */
-(async function init() {
-  const root = document.querySelector("[data-compare-app-root]");
-  if (!root) return;
+/* ========= ingredient classifier ========= */
+const PROTEIN_CATEGORIES = new Set(["animal_protein", "animal_fat"]);
+const GRAIN_CATEGORIES = new Set(["grain"]);
 
-  const results = root.querySelector("[data-compare-results]");
-  results?.setAttribute("aria-busy", "true");
+/* dictionary category for a slug; unknown forms like "dehydrated_lamb_meal" fall back to their base protein */
+const ingredientCategory = (slug) => {
+  const entry = lookupIngredient(slug);
+  if (entry) return entry.category;
+  const parsed = parseProteinSource(slug);
+  return (parsed && lookupIngredient(parsed.base)?.category) || null;
+};
 
-  let products = [];
-  try {
-    const response = await fetch(DATA_URL, { cache: "no-store" });
-    if (!response.ok) throw new Error(`Failed to load ${DATA_URL}: ${response.status}`);
-    products = await response.json();
-  } catch (error) {
+const labelIngredients = (product) =>
+  String(product.ingredients_list || "")
+    .split(";")
+    .map(normalizeToken)
+    .filter(Boolean);
+
+/* null when the dictionary isn't loaded, since nothing can be classified without it */
+const deriveProductFields = (product) => {
+  if (!ingredientDictionary.size) return null;
+  const ingredients = labelIngredients(product);
+  return {
+    protein_sources: [...new Set(ingredients.filter((slug) => PROTEIN_CATEGORIES.has(ingredientCategory(slug))))],
+    contains_grain: ingredients.some((slug) => GRAIN_CATEGORIES.has(ingredientCategory(slug))),
+  };
+};
+
+/* hand-entered values win; the classifier only fills in what a record leaves out */
+const withDerivedFields = (product) => {
+  const derived = deriveProductFields(product);
+  if (!derived) return product;
+  return {
+    ...product,
+    protein_sources: Array.isArray(product.protein_sources) ? product.protein_sources : derived.protein_sources,
+    contains_grain: typeof product.contains_grain === "boolean" ? product.contains_grain : derived.contains_grain,
+  };
+};
+
+/*
+  Differences between hand-entered and derived values, as readable messages.
+  Fats and oils are listed inconsistently by hand, so only meat, meal and organ forms count as drift.
+*/
+const derivedFieldMismatches = (product) => {
+  const derived = deriveProductFields(product);
+  if (!derived) return [];
+  const messages = [];
+
+  if (typeof product.contains_grain === "boolean" && product.contains_grain !== derived.contains_grain) {
+    const grains = labelIngredients(product).filter((slug) => GRAIN_CATEGORIES.has(ingredientCategory(slug)));
+    messages.push({
+      field: "contains_grain",
+      message: derived.contains_grain
+        ? `contains_grain is false but the label lists ${grains.map(humanizeSlug).join(", ")}`
+        : "contains_grain is true but no grain ingredients were found",
+    });
+  }
+
+  if (Array.isArray(product.protein_sources)) {
+    const listed = new Set(product.protein_sources.map(normalizeToken));
+    const ingredients = new Set(labelIngredients(product));
+    const unlisted = derived.protein_sources.filter(
+      (slug) => !listed.has(slug) && parseProteinSource(slug)?.form !== "fat"
+    );
+    const notProtein = [...listed].filter(
+      (slug) => ingredients.has(slug) && !PROTEIN_CATEGORIES.has(ingredientCategory(slug))
+    );
+    if (unlisted.length) {
+      messages.push({
+        field: "protein_sources",
+        message: `protein_sources is missing ${unlisted.map(humanizeSlug).join(", ")}`,
+      });
+    }
+    if (notProtein.length) {
+      messages.push({
+        field: "protein_sources",
+        message: `protein_sources lists ${notProtein.map(humanizeSlug).join(", ")}, which ${
+          notProtein.length === 1 ? "is not an animal protein" : "are not animal proteins"
+        }`,
+      });
+    }
+  }
+
+  return messages;
+};
+
+/* ========= catalog validation ========= */
+const LIFE_STAGES = ["Adult", "Puppy", "All Life Stages"];
+
+/*
+  One entry per product field; "error" problems skip the record, "warning" ones are only reported.
+  Derived fields may be left out (withDerivedFields fills them in) but must have the right type when present.
+*/
+const CATALOG_SCHEMA = {
+  id: { type: "string", required: true },
+  name: { type: "string", required: true },
+  brand: { type: "string", required: true },
+  brand_url: { type: "string" },
+  image: { type: "string" },
+  ingredients_list: { type: "string", required: true },
+  protein_sources: { type: "array", derived: true },
+  contains_grain: { type: "boolean", derived: true },
+  life_stage: { type: "string", required: true, values: LIFE_STAGES },
+  guaranteed_analysis: { type: "object" },
+};
+
+const schemaType = (value) => (Array.isArray(value) ? "array" : value === null ? "null" : typeof value);
+
+/*
+  Checks every record against CATALOG_SCHEMA plus the cross-field rules the UI relies on.
+  `imageExists(path)` is optional; the browser can't check files up front, the CLI check can.
+  Returns { products, skipped, issues } where products keeps the catalog order.
+*/
+const validateCatalog = (records, { imageExists } = {}) => {
+  const issues = [];
+  const products = [];
+  const skipped = [];
+
+  if (!Array.isArray(records)) {
+    issues.push({ index: -1, id: "", field: "", severity: "error", message: "Catalog must be an array of products" });
+    return { products, skipped, issues };
+  }
+
+  const seenIds = new Set();
+  records.forEach((record, index) => {
+    const recordIssues = [];
+    const report = (severity, field, message) => {
+      recordIssues.push({ index, id: record?.id || `#${index}`, field, severity, message });
+    };
+
+    if (schemaType(record) !== "object") {
+      report("error", "", "Record is not an object");
+    } else {
+      Object.entries(CATALOG_SCHEMA).forEach(([field, rule]) => {
+        const value = record[field];
+        const empty = value === undefined || value === null || (typeof value === "string" && !value.trim());
+        if (empty) {
+          if (rule.required) report("error", field, `Missing ${field}`);
+          else if (field === "image") report("warning", field, "Missing image");
+          return;
+        }
+        if (schemaType(value) !== rule.type) {
+          report(
+            rule.required || rule.derived ? "error" : "warning",
+            field,
+            `${field} should be a ${rule.type}, got ${schemaType(value)}`
+          );
+          return;
+        }
+        if (rule.values && !rule.values.includes(value)) {
+          report("error", field, `Unknown ${field} "${value}" (expected ${rule.values.join(", ")})`);
+        }
+      });
+
+      if (typeof record.id === "string" && record.id) {
+        if (seenIds.has(record.id)) report("error", "id", `Duplicate id "${record.id}"`);
+        seenIds.add(record.id);
+      }
+
+      if (typeof record.image === "string" && record.image.trim()) {
+        if (/\s/.test(record.image)) report("warning", "image", `Image path "${record.image}" contains spaces`);
+        if (imageExists && !imageExists(record.image)) report("warning", "image", `Image "${record.image}" not found`);
+      }
+
+      if (typeof record.ingredients_list === "string" && Array.isArray(record.protein_sources)) {
+        const ingredients = new Set(record.ingredients_list.split(";").map(normalizeToken).filter(Boolean));
+        record.protein_sources
+          .filter((source) => !ingredients.has(normalizeToken(source)))
+          .forEach((source) =>
+            report("warning", "protein_sources", `Protein source "${source}" is not in ingredients_list`)
+          );
+      }
+
+      if (typeof record.ingredients_list === "string") {
+        derivedFieldMismatches(record).forEach(({ field, message }) => report("warning", field, message));
+      }
+
+      if (schemaType(record.guaranteed_analysis) === "object") {
+        Object.entries(record.guaranteed_analysis)
+          .filter(([, value]) => value !== null && (typeof value !== "number" || !Number.isFinite(value)))
+          .forEach(([key]) => report("warning", "guaranteed_analysis", `${key} should be a number or null`));
+      }
+    }
+
+    issues.push(...recordIssues);
+    if (recordIssues.some((issue) => issue.severity === "error")) skipped.push({ index, record, issues: recordIssues });
+    else products.push(record);
+  });
+
+  return { products, skipped, issues };
+};
+
+const formatCatalogIssue = ({ id, severity, message, source }) =>
+  `${severity}: ${source ? `[${source}] ` : ""}${id ? `${id}: ` : ""}${message}`;
+
+/* ========= data sources ========= */
+/*
+  A source is one of:
+    { url, format?, label? }  a JSON array (or { products: [...] }) or a CSV export, picked by extension unless `format` is set
+    { products, label? }      records handed over by the embedding page
+    { load, label? }          a function returning records (or a promise of them)
+  Pages list sources in window.CompareDataSources before app.js loads, or as URLs in data-compare-sources.
+*/
+const CSV_LIST_FIELDS = new Set(["protein_sources"]);
+const CSV_ANALYSIS_FIELDS = ["crude_protein", "crude_fat", "crude_fiber", "moisture", "kcal_per_cup", "kcal_per_kg"];
+const CSV_BOOLEANS = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+
+/* quoted fields may hold commas, newlines and "" escapes */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const source = String(text).replace(/^﻿/, "");
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") index += 1;
+      rows.push([...row, field]);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+/* blank cells are left out, so protein_sources / contains_grain fall back to the classifier */
+const csvToProducts = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(normalizeToken);
+
+  return rows.map((cells) => {
+    const record = {};
+    const analysis = {};
+    columns.forEach((column, index) => {
+      const value = (cells[index] ?? "").trim();
+      if (CSV_ANALYSIS_FIELDS.includes(column)) {
+        analysis[column] = value === "" ? null : Number.isFinite(Number(value)) ? Number(value) : value;
+        return;
+      }
+      if (!column || value === "") return;
+      if (CSV_LIST_FIELDS.has(column)) {
+        record[column] = value.split(";").map(normalizeToken).filter(Boolean);
+      } else if (column === "contains_grain") {
+        record[column] = CSV_BOOLEANS[value.toLowerCase()] ?? value;
+      } else {
+        record[column] = value;
+      }
+    });
+    if (Object.keys(analysis).length) record.guaranteed_analysis = analysis;
+    return record;
+  });
+};
+
+const sourceLabel = (source, index) => source.label || source.url || `source ${index + 1}`;
+
+const readDataSource = async (source) => {
+  if (Array.isArray(source.products)) return source.products;
+  if (typeof source.load === "function") return source.load();
+  if (!source.url) throw new Error("Data source needs a url, products or load()");
+
+  const response = await fetch(source.url, { cache: "no-store" });
+  if (!response.ok) throw new Error(`Failed to load ${source.url}: ${response.status}`);
+  const format = source.format || (/\.csv(\?|#|$)/i.test(source.url) ? "csv" : "json");
+  if (format === "csv") return csvToProducts(await response.text());
+  const data = await response.json();
+  return Array.isArray(data) ? data : data?.products;
+};
+
+/* anything but a list of records fails the whole source instead of reaching the validator */
+const loadDataSource = async (source) => {
+  const records = await readDataSource(source);
+  if (!Array.isArray(records)) throw new Error("Expected a list of products or { products: [...] }");
+  return records;
+};
+
+/*
+  Loads every source, validates each one on its own and merges the valid records by id.
+  A later source replaces an earlier record with the same id (reported as a warning);
+  every product keeps the label of the source it came from in `catalog_source`.
+*/
+const loadCatalog = async (sources, options = {}) => {
+  const settled = await Promise.allSettled(sources.map(loadDataSource));
+  const byId = new Map();
+  const catalog = { products: [], skipped: [], issues: [], failed: [] };
+
+  settled.forEach((outcome, index) => {
+    const label = sourceLabel(sources[index], index);
+    if (outcome.status === "rejected") {
+      catalog.failed.push({ label, error: outcome.reason });
+      return;
+    }
+    const { products, skipped, issues } = validateCatalog(outcome.value, options);
+    catalog.skipped.push(...skipped.map((entry) => ({ ...entry, source: label })));
+    catalog.issues.push(...issues.map((issue) => ({ ...issue, source: label })));
+    products.forEach((record) => {
+      const previous = byId.get(record.id);
+      if (previous) {
+        catalog.issues.push({
+          index: -1,
+          id: record.id,
+          field: "id",
+          severity: "warning",
+          source: label,
+          message: `Replaces the record from ${previous.catalog_source}`,
+        });
+      }
+      byId.set(record.id, { ...record, catalog_source: label });
+    });
+  });
+
+  catalog.products = [...byId.values()];
+  return catalog;
+};
+
+const resolveDataSources = (root) => {
+  const configured = globalThis.CompareDataSources;
+  if (Array.isArray(configured) && configured.length) return configured;
+  const urls = String(root?.dataset.compareSources || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean);
+  return (urls.length ? urls : [DATA_URL]).map((url) => ({ url }));
+};
+
+/* ========= saved user state (favorites, recent searches, hidden products) ========= */
+const readStoredList = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key) || "[]");
+    return Array.isArray(stored) ? stored.filter((value) => typeof value === "string") : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeStoredList = (key, values) => {
+  try {
+    localStorage.setItem(key, JSON.stringify([...values]));
+  } catch (error) {
+    console.warn(`Could not save ${key}`, error);
+  }
+};
+
+/* newest first, without repeats */
+const rememberSearch = (recent, query) => {
+  const trimmed = query.trim();
+  if (!trimmed) return recent;
+  return [trimmed, ...recent.filter((value) => value !== trimmed)].slice(0, MAX_RECENT_SEARCHES);
+};
+
+const toastTimers = new WeakMap();
+
+const hideToast = (toast) => {
+  clearTimeout(toastTimers.get(toast));
+  toast.hidden = true;
+  toast.innerHTML = "";
+};
+
+/* one toast per app: a new message replaces the previous one and its action */
+const showToast = (root, message, { actionLabel, onAction, duration = UNDO_TOAST_DURATION } = {}) => {
+  const toast = root.querySelector("[data-compare-toast]");
+  if (!toast) return;
+  hideToast(toast);
+  toast.append(create("span", { textContent: message }));
+  if (actionLabel) {
+    const action = create("button", { type: "button", className: "compare-toast__action", textContent: actionLabel });
+    action.addEventListener("click", () => {
+      hideToast(toast);
+      onAction?.();
+    });
+    toast.append(action);
+  }
+  toast.hidden = false;
+  toastTimers.set(toast, setTimeout(() => hideToast(toast), duration));
+};
+
+const openFavoritesPopup = (
+  favorites,
+  recentSearches,
+  { removedProductIds = new Set(), onUnfavorite, onUnhide, onSearch, onClearRecent, owner } = {}
+) => {
+  removeExistingPopups(owner);
+
+  const overlay = create("div", { className: "compare-popup favorites-popup" });
+  const content = create("div", { className: "popup-content" });
+  content.innerHTML = `
+    <button class="popup-close-icon" type="button" aria-label="Close">&times;</button>
+    <h2>Favorites</h2>
+  `;
+
+  if (!favorites.length) {
+    content.append(
+      create("p", { className: "compare-muted", textContent: "Star a product (☆) to keep it here across visits." })
+    );
+  } else {
+    const list = create("ul", { className: "favorites-list" });
+    favorites.forEach((product) => {
+      const item = create("li", { className: "favorites-list__item" });
+      item.append(create("span", { textContent: `${product.brand} — ${product.name}` }));
+      if (removedProductIds.has(product.id)) {
+        const unhide = create("button", { type: "button", className: "compare-meta__hidden-btn", textContent: "Unhide" });
+        unhide.addEventListener("click", () => onUnhide?.(product));
+        item.append(unhide);
+      }
+      const remove = create("button", { type: "button", className: "compare-meta__hidden-btn", textContent: "Remove" });
+      remove.addEventListener("click", () => onUnfavorite?.(product));
+      item.append(remove);
+      list.append(item);
+    });
+    content.append(list);
+  }
+
+  content.append(create("h3", { textContent: "Recent searches" }));
+  if (!recentSearches.length) {
+    content.append(create("p", { className: "compare-muted", textContent: "Nothing yet." }));
+  } else {
+    const list = create("ul", { className: "favorites-list" });
+    recentSearches.forEach((query) => {
+      const item = create("li", { className: "favorites-list__item" });
+      const search = create("button", { type: "button", className: "compare-meta__hidden-btn", textContent: query });
+      search.addEventListener("click", () => {
+        closePopup(overlay);
+        onSearch?.(query);
+      });
+      item.append(search);
+      list.append(item);
+    });
+    const clear = create("button", { type: "button", className: "compare-meta__info-btn", textContent: "Clear history" });
+    clear.addEventListener("click", () => onClearRecent?.());
+    content.append(list, clear);
+  }
+
+  overlay.append(content);
+  showPopup(overlay, owner);
+};
+
+/* ========= export ========= */
+/* column names match the CSV import (see "data sources"), plus the match columns */
+const EXPORT_COLUMNS = [
+  "id",
+  "name",
+  "brand",
+  "life_stage",
+  "contains_grain",
+  "protein_sources",
+  ...CSV_ANALYSIS_FIELDS,
+  "match",
+  "purity_tier",
+  "purity_percent",
+  "matched_ingredients",
+  "ingredients_list",
+  "brand_url",
+  "catalog_source",
+];
+
+const exportRow = (product, result) => {
+  const ingredients = labelIngredientTokens(product);
+  return {
+    id: product.id,
+    name: product.name,
+    brand: product.brand,
+    life_stage: product.life_stage,
+    contains_grain: product.contains_grain,
+    protein_sources: product.protein_sources || [],
+    ...Object.fromEntries(CSV_ANALYSIS_FIELDS.map((key) => [key, analysisValue(product, key)])),
+    /* no include terms means nothing was scored */
+    match: result.neededGroups ? result.match : null,
+    purity_tier: (PURITY_TIERS[result.tier] || PURITY_TIERS.none).label,
+    purity_percent: result.purity ?? null,
+    matched_ingredients: (result.matchedPositions || []).map((index) => ingredients[index]).filter(Boolean),
+    ingredients_list: ingredients,
+    brand_url: product.brand_url || "",
+    catalog_source: product.catalog_source || "",
+  };
+};
+
+const csvCell = (value) => {
+  const text = Array.isArray(value) ? value.join(";") : value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns = EXPORT_COLUMNS) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\r\n");
+
+const downloadFile = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = create("a", { href: url, download: filename });
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const exportFilename = (scope, extension) =>
+  `compare-${scope}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+/* scopes: [{ id, label, count }]; onExport(scopeId, "csv" | "json" | "print") */
+const openExportPopup = (scopes, { onExport, owner } = {}) => {
+  removeExistingPopups(owner);
+
+  const available = scopes.filter(({ count }) => count > 0);
+  const overlay = create("div", { className: "compare-popup export-popup" });
+  const content = create("div", { className: "popup-content" });
+  content.innerHTML = `
+    <button class="popup-close-icon" type="button" aria-label="Close">&times;</button>
+    <h2>Export</h2>
+    <fieldset class="export-popup__scopes">
+      <legend>What to export</legend>
+      ${scopes
+        .map(
+          ({ id, label, count }) => `
+        <label>
+          <input type="radio" name="export-scope" value="${id}"${count ? "" : " disabled"}${
+            id === available[0]?.id ? " checked" : ""
+          } />
+          ${label} (${count})
+        </label>`
+        )
+        .join("")}
+    </fieldset>
+    <div class="export-popup__actions">
+      <button type="button" class="compare-meta__info-btn" data-export-format="csv">Download CSV</button>
+      <button type="button" class="compare-meta__info-btn" data-export-format="json">Download JSON</button>
+      <button type="button" class="compare-meta__info-btn" data-export-format="print">Print</button>
+    </div>
+  `;
+  overlay.append(content);
+
+  content.querySelectorAll("[data-export-format]").forEach((button) => {
+    button.disabled = !available.length;
+    button.addEventListener("click", () => {
+      const scope = content.querySelector('input[name="export-scope"]:checked')?.value;
+      if (!scope) return;
+      closePopup(overlay);
+      onExport?.(scope, button.dataset.exportFormat);
+    });
+  });
+
+  showPopup(overlay, owner);
+};
+
+const makeResultsTable = (entries) => {
+  const table = create("table", { className: "comparison-table export-results-table" });
+  const columns = ["Product", "Brand", "Match", "Purity", "Life stage", "Grains", "Matched ingredients"];
+  const head = create("tr");
+  columns.forEach((label) => head.append(create("th", { scope: "col", textContent: label })));
+  const body = create("tbody");
+  entries.forEach(({ product, result }) => {
+    const row = exportRow(product, result);
+    const cells = [
+      row.name,
+      row.brand,
+      row.match === null ? "—" : `${row.match}%`,
+      `${row.purity_tier} (${row.purity_percent ?? 0}%)`,
+      row.life_stage || "—",
+      yesNoLabel(row.contains_grain),
+      row.matched_ingredients.map(humanizeSlug).join(", ") || "—",
+    ];
+    const tr = create("tr");
+    cells.forEach((text) => tr.append(create("td", { textContent: text })));
+    body.append(tr);
+  });
+  table.append(create("thead"), body);
+  table.tHead.append(head);
+  return table;
+};
+
+/* fills the print-only section and prints; the print stylesheet hides everything else */
+const printView = (root, { title, content }) => {
+  const section = root.querySelector("[data-compare-print]");
+  if (!section) {
+    window.print();
+    return;
+  }
+  section.innerHTML = "";
+  section.append(create("h2", { textContent: title }), content);
+  root.dataset.comparePrinting = "true";
+  window.addEventListener(
+    "afterprint",
+    () => {
+      delete root.dataset.comparePrinting;
+      section.innerHTML = "";
+    },
+    { once: true }
+  );
+  window.print();
+};
+
+/* ========= URL state (?q=...&hide=id,id&pin=id,id&sort=mode) ========= */
+const URL_PARAMS = { query: "q", removed: "hide", pinned: "pin", sort: "sort" };
+
+const readUrlState = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const list = (key) =>
+    (params.get(key) || "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean);
+  return {
+    query: params.get(URL_PARAMS.query) || "",
+    removed: list(URL_PARAMS.removed),
+    pinned: list(URL_PARAMS.pinned).slice(0, MAX_PINNED),
+    sort: SORT_MODES[params.get(URL_PARAMS.sort)] ? params.get(URL_PARAMS.sort) : DEFAULT_SORT_MODE,
+  };
+};
+
+/* keeps unrelated params and the hash so host pages can add their own */
+const buildUrlState = ({ query, removed, pinned, sort }) => {
+  const params = new URLSearchParams(window.location.search);
+  const setParam = (key, value) => (value ? params.set(key, value) : params.delete(key));
+  setParam(URL_PARAMS.query, query.trim());
+  setParam(URL_PARAMS.removed, [...removed].join(","));
+  setParam(URL_PARAMS.pinned, [...pinned].join(","));
+  setParam(URL_PARAMS.sort, sort === DEFAULT_SORT_MODE ? "" : sort);
+  const search = params.toString();
+  return `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`;
+};
+
+/* ========= mount ========= */
+/* the dictionary is shared by every instance on the page, so it is only fetched once */
+let dictionaryRequest = null;
+
+/* the dictionary is optional: without it, ingredients match on their underscore parts */
+const loadIngredientDictionary = () => {
+  dictionaryRequest ||= fetch(DICTIONARY_URL, { cache: "no-store" })
+    .then((response) => {
+      if (!response.ok) throw new Error(`Failed to load ${DICTIONARY_URL}: ${response.status}`);
+      return response.json();
+    })
+    .then(setIngredientDictionary)
+    .catch((error) => console.warn(error));
+  return dictionaryRequest;
+};
+
+/* a theme name selects a [data-compare-theme] preset; an object sets custom properties (accent -> --compare-accent) */
+const applyTheme = (root, theme) => {
+  if (!theme) return;
+  if (typeof theme === "string") {
+    root.dataset.compareTheme = theme;
+    return;
+  }
+  Object.entries(theme).forEach(([key, value]) => {
+    const property = key.startsWith("--") ? key : `--compare-${key.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)}`;
+    root.style.setProperty(property, value);
+  });
+};
+
+const mountedApps = new WeakMap();
+let mountCount = 0;
+/* only one instance can own ?q=&hide=... at a time; later ones keep their state to themselves */
+let urlStateClaimed = false;
+
+async function startCompareApp(root, options, emit) {
+  const {
+    dataUrl,
+    dataSources: configuredSources,
+    limit,
+    query: initialQuery = "",
+    theme,
+    synonyms: customSynonyms,
+    urlState = !urlStateClaimed,
+  } = options;
+  if (urlState) urlStateClaimed = true;
+  const synonyms = normalizeSynonyms(customSynonyms);
+  applyTheme(root, theme);
+
+  const results = root.querySelector("[data-compare-results]");
+  results?.setAttribute("aria-busy", "true");
+
+  const dataSources =
+    configuredSources || (dataUrl ? [].concat(dataUrl).map((url) => ({ url })) : resolveDataSources(root));
+  let products = [];
+  try {
+    await loadIngredientDictionary();
+    const catalog = await loadCatalog(dataSources);
+    catalog.failed.forEach(({ error }) => console.error(error));
+    catalog.issues.forEach((issue) => console.warn(formatCatalogIssue(issue)));
+    if (!catalog.products.length && catalog.failed.length) throw new Error("No data source could be loaded");
+    products = catalog.products.map(withDerivedFields);
+    renderCatalogWarning(root.querySelector("[data-compare-catalog-warning]"), catalog.skipped, catalog.failed);
+  } catch (error) {
     console.error(error);
     if (results)
-      results.innerHTML = `<p class="compare-muted">Could not load data. Check <code>${DATA_URL}</code>.</p>`;
-    return;
+      results.innerHTML = `<p class="compare-muted">Could not load data. Check <code>${escapeHtml(
+        dataSources.map(sourceLabel).join(", ")
+      )}</code>.</p>`;
+    throw error;
   } finally {
     results?.setAttribute("aria-busy", "false");
   }
@@ -842,60 +3574,570 @@ const render = (
   const fetchBtn = root.querySelector("[data-compare-fetch]");
   const clearBtn = root.querySelector("[data-compare-clear]");
 
+  const compareBtn = root.querySelector("[data-compare-open-table]");
+  const transitionBtn = root.querySelector("[data-compare-open-transition]");
+  const favoritesBtn = root.querySelector("[data-compare-open-favorites]");
+  const exportBtn = root.querySelector("[data-compare-open-export]");
+  const resetRemovedBtn = root.querySelector("[data-compare-reset-removed]");
+  const pageSizeSelect = root.querySelector("[data-compare-page-size]");
+  const sortSelect = root.querySelector("[data-compare-sort]");
+  const suggestionList = root.querySelector("[data-compare-suggestions]");
+
+  /* several instances can share a page, so each gets its own listbox id */
+  mountCount += 1;
+  if (suggestionList) {
+    suggestionList.id = `compare-suggestions-${mountCount}`;
+    input?.setAttribute("aria-controls", suggestionList.id);
+  }
+
+  /* removedProductIds is what this view hides, which a shared link's hide= can replace; only ids the
+     user removes here go into storedRemovedIds, the list kept between visits */
   const removedProductIds = new Set();
-  let currentState = {
-    includeGroups: [],
-    excludes: new Set(),
-    labelIncludes: new Set(),
-    labelExcludes: new Set(),
-  };
+  const storedRemovedIds = new Set(readStoredList(HIDDEN_STORAGE_KEY));
+  const pinnedProductIds = new Set();
+  const activeAllergens = readAllergenProfiles();
+  const knownIds = new Set(products.map((product) => product.id));
+  const favoriteIds = new Set(readStoredList(FAVORITES_STORAGE_KEY).filter((id) => knownIds.has(id)));
+  let recentSearches = readStoredList(RECENT_SEARCHES_STORAGE_KEY);
+  let currentState = emptyParseResult();
+  let currentQuery = "";
+  let lastHistoryPush = 0;
+  let pageSize = Number(limit) > 0 ? Math.floor(Number(limit)) : DEFAULT_PAGE_SIZE;
+  let visibleCount = pageSize;
+  let sortMode = DEFAULT_SORT_MODE;
+  const facetSelections = Object.fromEntries(FACETS.map(({ key }) => [key, new Set()]));
+
+  const vocabulary = buildVocabulary(products);
+  let suggestions = [];
+  let activeSuggestion = -1;
+
+  /* hidden products carry over between visits unless the state names its own */
+  const withStoredRemoved = (state) => ({
+    ...state,
+    removed: state.removed.length ? state.removed : [...storedRemovedIds],
+  });
+
+  function applyUrlState({ query, removed, pinned, sort }) {
+    currentQuery = query;
+    if (input) input.value = query;
+    sortMode = sort;
+    if (sortSelect) sortSelect.value = sort;
+    removedProductIds.clear();
+    removed.filter((id) => knownIds.has(id)).forEach((id) => removedProductIds.add(id));
+    pinnedProductIds.clear();
+    pinned
+      .filter((id) => knownIds.has(id) && !removedProductIds.has(id))
+      .forEach((id) => pinnedProductIds.add(id));
+    currentState = parseQuery(query, { synonyms });
+  }
+
+  function syncUrl() {
+    if (!urlState) return;
+    const url = buildUrlState({
+      query: currentQuery,
+      removed: removedProductIds,
+      pinned: pinnedProductIds,
+      sort: sortMode,
+    });
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+    const now = Date.now();
+    if (now - lastHistoryPush > HISTORY_PUSH_INTERVAL) {
+      window.history.pushState(null, "", url);
+    } else {
+      window.history.replaceState(null, "", url);
+    }
+    lastHistoryPush = now;
+  }
+
+  function handleToggleAllergen(id) {
+    if (activeAllergens.has(id)) {
+      activeAllergens.delete(id);
+    } else {
+      activeAllergens.add(id);
+    }
+    writeAllergenProfiles(activeAllergens);
+    renderAllergenToggles(root, activeAllergens, handleToggleAllergen);
+    renderWithCurrentState();
+  }
+
+  const pinnedProducts = () =>
+    [...pinnedProductIds].map((id) => products.find((product) => product.id === id)).filter(Boolean);
+
+  function updateCompareButton() {
+    if (!compareBtn) return;
+    compareBtn.textContent = `Compare pinned (${pinnedProductIds.size}/${MAX_PINNED})`;
+    compareBtn.disabled = pinnedProductIds.size < MIN_PINNED;
+  }
+
+  function updateSavedButtons() {
+    if (favoritesBtn) favoritesBtn.textContent = `Favorites (${favoriteIds.size})`;
+    if (resetRemovedBtn) {
+      resetRemovedBtn.hidden = !removedProductIds.size;
+      resetRemovedBtn.textContent = `Show ${removedProductIds.size} removed`;
+    }
+  }
 
-  function renderWithCurrentState() {
+  function handleToggleFavorite(product) {
+    if (favoriteIds.has(product.id)) {
+      favoriteIds.delete(product.id);
+    } else {
+      favoriteIds.add(product.id);
+    }
+    writeStoredList(FAVORITES_STORAGE_KEY, favoriteIds);
+    renderWithCurrentState({ updateUrl: false });
+  }
+
+  function openFavorites() {
+    openFavoritesPopup(
+      products.filter((product) => favoriteIds.has(product.id)),
+      recentSearches,
+      {
+        removedProductIds,
+        onUnfavorite: (product) => {
+          handleToggleFavorite(product);
+          openFavorites();
+        },
+        onUnhide: (product) => {
+          restoreRemoved([product.id]);
+          openFavorites();
+        },
+        onSearch: (query) => {
+          if (input) input.value = query;
+          runSearch();
+          recordSearch();
+        },
+        onClearRecent: () => {
+          recentSearches = [];
+          writeStoredList(RECENT_SEARCHES_STORAGE_KEY, recentSearches);
+          openFavorites();
+        },
+        owner: root,
+      }
+    );
+  }
+
+  /* the ranked list as the cards show it, all pages included */
+  function currentResults() {
+    const state = applyAllergenProfiles(currentState, activeAllergens);
+    if (state.error) return [];
+    return rankResults(products, state.includeGroups, state.excludes, state.filters, {
+      removedProductIds,
+      sortMode,
+      facetSelections,
+    }).faceted;
+  }
+
+  function pinnedResults() {
+    const state = applyAllergenProfiles(currentState, activeAllergens);
+    return pinnedProducts().map((product) => ({
+      product,
+      result: computeMatch(product, state.includeGroups, state.excludes, state.filters),
+    }));
+  }
+
+  function openExport() {
+    const results = currentResults();
+    const pinned = pinnedResults();
+    openExportPopup(
+      [
+        { id: "results", label: currentQuery.trim() ? "Current results" : "All products", count: results.length },
+        { id: "pinned", label: "Pinned comparison", count: pinned.length },
+      ],
+      {
+        onExport: (scope, format) => {
+          const entries = scope === "pinned" ? pinned : results;
+          if (format === "print") {
+            const query = currentQuery.trim();
+            if (scope === "pinned") {
+              const content = create("div", { innerHTML: COMPARISON_LEGEND });
+              content.append(makeComparisonTable(entries.map(({ product }) => product)));
+              printView(root, { title: "Side-by-side comparison", content });
+            } else {
+              printView(root, { title: query ? `Results for “${query}”` : "All products", content: makeResultsTable(entries) });
+            }
+            return;
+          }
+          const rows = entries.map(({ product, result }) => exportRow(product, result));
+          if (format === "csv") {
+            downloadFile(exportFilename(scope, "csv"), toCsv(rows), "text/csv;charset=utf-8");
+          } else {
+            const data = { query: currentQuery.trim(), exported_at: new Date().toISOString(), scope, products: rows };
+            downloadFile(exportFilename(scope, "json"), JSON.stringify(data, null, 2), "application/json");
+          }
+          emit("export", { scope, format, count: rows.length });
+        },
+        owner: root,
+      }
+    );
+  }
+
+  function recordSearch() {
+    recentSearches = rememberSearch(recentSearches, currentQuery);
+    writeStoredList(RECENT_SEARCHES_STORAGE_KEY, recentSearches);
+  }
+
+  function restoreRemoved(ids, pinned = []) {
+    ids.forEach((id) => {
+      removedProductIds.delete(id);
+      storedRemovedIds.delete(id);
+    });
+    pinned.forEach((id) => pinnedProductIds.size < MAX_PINNED && pinnedProductIds.add(id));
+    writeStoredList(HIDDEN_STORAGE_KEY, storedRemovedIds);
+    renderWithCurrentState();
+  }
+
+  function openComparison() {
+    const pinned = pinnedProducts();
+    if (pinned.length < MIN_PINNED) {
+      removeExistingPopups(root);
+      return;
+    }
+    emit("compare", { products: pinned });
+    openComparisonPopup(pinned, {
+      onUnpin: (product) => {
+        pinnedProductIds.delete(product.id);
+        renderWithCurrentState();
+        openComparison();
+      },
+      owner: root,
+    });
+  }
+
+  /* the first two pinned products make a sensible current → new starting point */
+  function openTransition() {
+    const [pinnedCurrent, pinnedTarget] = [...pinnedProductIds];
+    const currentId = pinnedCurrent || products[0]?.id;
+    openTransitionPopup(products, {
+      currentId,
+      targetId: pinnedTarget || products.find((product) => product.id !== currentId)?.id,
+      owner: root,
+    });
+  }
+
+  function handleTogglePin(product) {
+    if (!product || !product.id) return;
+    if (pinnedProductIds.has(product.id)) {
+      pinnedProductIds.delete(product.id);
+    } else if (pinnedProductIds.size < MAX_PINNED) {
+      pinnedProductIds.add(product.id);
+    }
+    renderWithCurrentState();
+  }
+
+  function renderWithCurrentState({ updateUrl = true } = {}) {
+    const state = applyAllergenProfiles(currentState, activeAllergens);
     render(
       root,
       products,
-      currentState.includeGroups,
-      currentState.excludes,
-      currentState.labelIncludes,
-      currentState.labelExcludes,
+      state.includeGroups,
+      state.excludes,
+      state.labelIncludes,
+      state.labelExcludes,
       {
         removedProductIds,
         onRemove: handleRemoveProduct,
+        filters: state.filters,
+        labelFilters: state.labelFilters,
+        labelAvoiding: [...activeAllergens].map((id) => ALLERGEN_PROFILES[id].label),
+        pinnedProductIds,
+        onTogglePin: handleTogglePin,
+        onSimilar: handleSimilar,
+        onCardClick: (product, { href }) => emit("cardclick", { product, href }),
+        favoriteIds,
+        onToggleFavorite: handleToggleFavorite,
+        explain: { groupLabels: state.groupLabels, excludeLabels: state.excludeLabels },
+        visibleCount,
+        pageSize,
+        onShowMore: handleShowMore,
+        sortMode,
+        facetSelections,
+        onToggleFacet: handleToggleFacet,
+        onClearFacets: handleClearFacets,
+        didYouMean: correctQuery(currentQuery, vocabulary, { synonyms }),
+        onDidYouMean: handleDidYouMean,
+        queryError: state.error,
       }
     );
+    updateCompareButton();
+    updateSavedButtons();
+    if (updateUrl) syncUrl();
+  }
+
+  function handleToggleFacet(key, value) {
+    const selected = facetSelections[key];
+    if (selected.has(value)) {
+      selected.delete(value);
+    } else {
+      selected.add(value);
+    }
+    visibleCount = pageSize;
+    renderWithCurrentState({ updateUrl: false });
+  }
+
+  function handleClearFacets() {
+    Object.values(facetSelections).forEach((selected) => selected.clear());
+    visibleCount = pageSize;
+    renderWithCurrentState({ updateUrl: false });
+  }
+
+  /* alternatives respect the saved allergen profiles, not the current search */
+  function handleSimilar(product) {
+    const { excludes, excludeLabels } = applyAllergenProfiles(emptyParseResult(), activeAllergens);
+    openSimilarPopup(product, products, { excludes, excludeLabels, synonyms, owner: root });
+  }
+
+  function handleDidYouMean(query) {
+    if (input) input.value = query;
+    runSearch();
+    recordSearch();
+  }
+
+  function renderSuggestions() {
+    if (!suggestionList || !input) return;
+    suggestionList.innerHTML = "";
+    suggestionList.hidden = !suggestions.length;
+    input.setAttribute("aria-expanded", String(suggestions.length > 0));
+    input.removeAttribute("aria-activedescendant");
+    suggestions.forEach((suggestion, index) => {
+      const option = create("li", {
+        id: `${suggestionList.id}-${index}`,
+        className: "compare-suggest__option",
+      });
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", String(index === activeSuggestion));
+      option.append(
+        create("span", { textContent: suggestion.label }),
+        create("span", {
+          className: "compare-suggest__count",
+          textContent: suggestion.recent ? "Recent" : `${suggestion.count} product${suggestion.count === 1 ? "" : "s"}`,
+        })
+      );
+      /* mousedown keeps focus in the input so the list doesn't close first */
+      option.addEventListener("mousedown", (event) => event.preventDefault());
+      option.addEventListener("click", () => acceptSuggestion(index));
+      if (index === activeSuggestion) input.setAttribute("aria-activedescendant", option.id);
+      suggestionList.append(option);
+    });
+  }
+
+  function updateSuggestions() {
+    const value = input?.value ?? "";
+    const atEnd = input && input.selectionStart === value.length;
+    /* an empty box offers the recent searches instead */
+    if (!value.trim()) {
+      suggestions = recentSearches.map((query) => ({ label: query, insert: query, from: 0, recent: true }));
+    } else {
+      suggestions = atEnd ? suggestionsFor(value, vocabulary) : [];
+    }
+    activeSuggestion = -1;
+    renderSuggestions();
+  }
+
+  function closeSuggestions() {
+    suggestions = [];
+    activeSuggestion = -1;
+    renderSuggestions();
+  }
+
+  function acceptSuggestion(index) {
+    const suggestion = suggestions[index];
+    if (!suggestion || !input) return;
+    input.value = `${input.value.slice(0, suggestion.from)}${suggestion.insert} `;
+    closeSuggestions();
+    input.focus();
+    clearTimeout(debounceTimer);
+    runSearch();
+    recordSearch();
+  }
+
+  function handleShowMore(count) {
+    visibleCount += count;
+    renderWithCurrentState({ updateUrl: false });
   }
 
   function handleRemoveProduct(product) {
     if (!product || !product.id) return;
+    const wasPinned = pinnedProductIds.has(product.id);
     removedProductIds.add(product.id);
+    storedRemovedIds.add(product.id);
+    pinnedProductIds.delete(product.id);
+    writeStoredList(HIDDEN_STORAGE_KEY, storedRemovedIds);
     renderWithCurrentState();
+    emit("remove", { product });
+    showToast(root, `Removed ${product.name}.`, {
+      actionLabel: "Undo",
+      onAction: () => restoreRemoved([product.id], wasPinned ? [product.id] : []),
+    });
   }
 
   const runSearch = () => {
-    const value = input?.value ?? "";
-    const { includeGroups, excludes, labelIncludes, labelExcludes } = parseQuery(value);
-    currentState = { includeGroups, excludes, labelIncludes, labelExcludes };
+    currentQuery = input?.value ?? "";
+    currentState = parseQuery(currentQuery, { synonyms });
+    visibleCount = pageSize;
     renderWithCurrentState();
+    emit("search", { query: currentQuery, error: currentState.error?.message || null });
   };
 
-  renderWithCurrentState();
+  sortSelect?.append(
+    ...Object.entries(SORT_MODES).map(([value, { label }]) => create("option", { value, textContent: label }))
+  );
+  if (pageSizeSelect) {
+    if (![...pageSizeSelect.options].some((option) => Number(option.value) === pageSize)) {
+      pageSizeSelect.append(create("option", { value: String(pageSize), textContent: String(pageSize) }));
+    }
+    pageSizeSelect.value = String(pageSize);
+  }
+  /* a shared link wins over the configured starting query */
+  const startState = urlState ? readUrlState() : null;
+  applyUrlState(
+    withStoredRemoved(
+      startState?.query || startState?.removed.length || startState?.pinned.length
+        ? startState
+        : { query: initialQuery, removed: [], pinned: [], sort: startState?.sort || DEFAULT_SORT_MODE }
+    )
+  );
+  renderAllergenToggles(root, activeAllergens, handleToggleAllergen);
+  renderWithCurrentState({ updateUrl: false });
 
   let debounceTimer;
   input?.addEventListener("input", () => {
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(runSearch, 150);
+    updateSuggestions();
   });
-  fetchBtn?.addEventListener("click", runSearch);
+  input?.addEventListener("focus", updateSuggestions);
+  input?.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && activeSuggestion < 0) {
+      clearTimeout(debounceTimer);
+      closeSuggestions();
+      runSearch();
+      recordSearch();
+      return;
+    }
+    if (!suggestions.length) return;
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      /* one extra slot for "nothing selected", i.e. back to what was typed */
+      const positions = suggestions.length + 1;
+      activeSuggestion = ((activeSuggestion + 1 + step + positions) % positions) - 1;
+      renderSuggestions();
+    } else if ((event.key === "Enter" || event.key === "Tab") && activeSuggestion >= 0) {
+      event.preventDefault();
+      acceptSuggestion(activeSuggestion);
+    } else if (event.key === "Escape") {
+      closeSuggestions();
+    }
+  });
+  input?.addEventListener("blur", closeSuggestions);
+  fetchBtn?.addEventListener("click", () => {
+    runSearch();
+    recordSearch();
+  });
+  results?.addEventListener("keydown", handleCardKeys);
+  favoritesBtn?.addEventListener("click", openFavorites);
+  exportBtn?.addEventListener("click", openExport);
+  resetRemovedBtn?.addEventListener("click", () => restoreRemoved([...removedProductIds]));
+  compareBtn?.addEventListener("click", openComparison);
+  transitionBtn?.addEventListener("click", openTransition);
+  /* the query, pins and facet chips; removed products have their own "Show N removed" reset */
   clearBtn?.addEventListener("click", () => {
     if (input) input.value = "";
-    removedProductIds.clear();
-    currentState = {
-      includeGroups: [],
-      excludes: new Set(),
-      labelIncludes: new Set(),
-      labelExcludes: new Set(),
-    };
+    currentQuery = "";
+    pinnedProductIds.clear();
+    Object.values(facetSelections).forEach((selected) => selected.clear());
+    currentState = emptyParseResult();
+    visibleCount = pageSize;
+    renderWithCurrentState();
+    emit("search", { query: "", error: null });
+  });
+  sortSelect?.addEventListener("change", () => {
+    sortMode = SORT_MODES[sortSelect.value] ? sortSelect.value : DEFAULT_SORT_MODE;
     renderWithCurrentState();
   });
-})();
+  pageSizeSelect?.addEventListener("change", () => {
+    pageSize = Number(pageSizeSelect.value) || DEFAULT_PAGE_SIZE;
+    visibleCount = Math.max(pageSize, visibleCount);
+    renderWithCurrentState({ updateUrl: false });
+  });
 
+  /* back/forward steps through previous searches; the first entry has no hide= of its own */
+  if (urlState) {
+    window.addEventListener("popstate", () => {
+      clearTimeout(debounceTimer);
+      applyUrlState(withStoredRemoved(readUrlState()));
+      visibleCount = pageSize;
+      removeExistingPopups(root);
+      renderWithCurrentState({ updateUrl: false });
+    });
+  }
+
+  return {
+    search(query) {
+      clearTimeout(debounceTimer);
+      if (input) input.value = query;
+      runSearch();
+    },
+  };
+}
+
+/*
+  CompareApp.mount(root, options) starts an instance on `root` (an element or a selector) and
+  returns { root, ready, on, search }. `ready` rejects with the load error when no catalog can be read.
+  Options:
+    dataUrl      catalog URL, or an array of them (see "data sources" for dataSources)
+    limit        cards shown before "Show more"
+    query        starting search, unless the URL already has one
+    theme        preset name or { accent: "#...", ... } custom properties
+    synonyms     { term: ["slug", ...] } added to the built-in synonyms for this instance
+    urlState     keep the search in the URL; defaults to true for the first instance only
+  Events ("search", "remove", "cardclick", "compare", "export") bubble from root as compare:<name>
+  CustomEvents; app.on(name, handler) calls handler with the event detail and returns an unsubscribe.
+*/
+const mountCompareApp = (target, options = {}) => {
+  const root = typeof target === "string" ? document.querySelector(target) : target;
+  if (!root) throw new Error(`CompareApp.mount: no element matches ${target}`);
+  if (mountedApps.has(root)) return mountedApps.get(root);
+
+  const emit = (type, detail) => root.dispatchEvent(new CustomEvent(`compare:${type}`, { bubbles: true, detail }));
+  const started = startCompareApp(root, options, emit);
+  const app = {
+    root,
+    ready: started.then(() => app),
+    on(type, handler) {
+      const listener = (event) => handler(event.detail);
+      root.addEventListener(`compare:${type}`, listener);
+      return () => root.removeEventListener(`compare:${type}`, listener);
+    },
+    search: (query) => started.then((controls) => controls.search(query)),
+  };
+  mountedApps.set(root, app);
+  return app;
+};
+
+const CompareApp = { mount: mountCompareApp };
+
+/* outside a browser (scripts/validate-catalog.js) there is nothing to mount;
+   roots marked data-compare-app-root="manual" wait for the host page to call CompareApp.mount */
+if (globalThis.document) {
+  window.CompareApp = CompareApp;
+  document
+    .querySelectorAll('[data-compare-app-root]:not([data-compare-app-root="manual"])')
+    .forEach((root) => {
+      /* a failed load is already shown in the results and logged */
+      mountCompareApp(root).ready.catch(() => {});
+    });
+}
+
+/* lets scripts/validate-catalog.js run the same checks from Node */
+if (typeof module !== "undefined") {
+  module.exports = {
+    CATALOG_SCHEMA,
+    validateCatalog,
+    formatCatalogIssue,
+    csvToProducts,
+    loadCatalog,
+    setIngredientDictionary,
+    deriveProductFields,
+  };
+}
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+"use strict";
+
+/*
+  Standalone catalog check, using the same loadCatalog/validateCatalog the page runs on load,
+  including drift between hand-entered protein_sources/contains_grain and ingredients_list.
+  Usage: node scripts/validate-catalog.js [catalog.json|catalog.csv ...]
+  Several files are merged by id the way the page merges its data sources.
+  Exits with 1 when a file can't be read or any record has errors (those records are skipped in the browser).
+*/
+const fs = require("fs");
+const path = require("path");
+
+const { loadCatalog, csvToProducts, formatCatalogIssue, setIngredientDictionary } = require("../app.js");
+
+const ROOT = path.resolve(__dirname, "..");
+const DICTIONARY_PATH = path.join(ROOT, "data/ingredients.json");
+const catalogPaths = (process.argv.length > 2 ? process.argv.slice(2) : [path.join(ROOT, "data/products.json")]).map(
+  (file) => path.resolve(file)
+);
+
+/* protein_sources / contains_grain drift is only checked when the ingredient dictionary is available */
+try {
+  setIngredientDictionary(JSON.parse(fs.readFileSync(DICTIONARY_PATH, "utf8")));
+} catch (error) {
+  console.warn(`Skipping derived-field checks, could not read ${DICTIONARY_PATH}: ${error.message}`);
+}
+
+const sources = catalogPaths.map((file) => ({
+  label: path.relative(process.cwd(), file),
+  load: () => {
+    const text = fs.readFileSync(file, "utf8");
+    if (/\.csv$/i.test(file)) return csvToProducts(text);
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : data?.products;
+  },
+}));
+
+/* image paths are relative to the page, which lives at the repo root */
+const imageExists = (image) => fs.existsSync(path.join(ROOT, image));
+
+(async () => {
+  const { products, skipped, issues, failed } = await loadCatalog(sources, { imageExists });
+  failed.forEach(({ label, error }) => console.log(`error: [${label}] ${error.message}`));
+  issues.forEach((issue) => console.log(formatCatalogIssue(issue)));
+
+  const warnings = issues.filter((issue) => issue.severity === "warning").length;
+  console.log(
+    `\n${sources.length} source${sources.length === 1 ? "" : "s"}: ${products.length} valid, ${
+      skipped.length
+    } skipped, ${warnings} warnings`
+  );
+  process.exitCode = skipped.length || failed.length ? 1 : 0;
+})();